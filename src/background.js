@@ -0,0 +1,18 @@
+// Bearable Desktop Instagram - Background Service Worker
+// chrome.storage.session is limited to extension pages by default, content scripts share it to
+// hand positions and preferences between tabs
+
+// Settings that no longer exist, dropped from sync storage on update
+const REMOVED_SETTINGS = [
+  'NAVIGATION_SCAN_DELAY_MS',  // Videos are found from DOM mutations now, there's no post-navigation scan to delay
+];
+
+function allowContentScriptSessionAccess() {
+  chrome.storage.session.setAccessLevel({ accessLevel: 'TRUSTED_AND_UNTRUSTED_CONTEXTS' });
+}
+
+chrome.runtime.onInstalled.addListener(({ reason }) => {
+  allowContentScriptSessionAccess();
+  if (reason === 'update') chrome.storage.sync.remove(REMOVED_SETTINGS);
+});
+chrome.runtime.onStartup.addListener(allowContentScriptSessionAccess);
@@ -0,0 +1,133 @@
+// Bearable Desktop Instagram - Bookmarks Page
+// Lists bookmarked moments, opens them at their time and exports/imports the collection
+
+(function() {
+  'use strict';
+
+  const STATUS_CLEAR_MS = 2000;
+
+  const listEl = document.querySelector('#bookmarks tbody');
+  const tableEl = document.getElementById('bookmarks');
+  const noBookmarksEl = document.getElementById('no-bookmarks');
+  const statusEl = document.getElementById('status');
+  const importInput = document.getElementById('import-json');
+  let bookmarks = [];
+  let statusTimer = null;
+
+  // ============================================================
+  // UTILITY FUNCTIONS
+  // ============================================================
+
+  function showStatus(text) {
+    statusEl.textContent = text;
+    clearTimeout(statusTimer);
+    statusTimer = setTimeout(() => {
+      statusEl.textContent = '';
+    }, STATUS_CLEAR_MS);
+  }
+
+  // ============================================================
+  // RENDERING
+  // ============================================================
+
+  function renderBookmark(bookmark) {
+    const row = document.createElement('tr');
+
+    const post = document.createElement('td');
+    post.textContent = bookmark.creator ? `@${bookmark.creator}` : '';
+    const postId = document.createElement('span');
+    postId.className = 'post-id';
+    postId.textContent = bookmark.postId;
+    post.append(postId);
+
+    const time = document.createElement('td');
+    time.className = 'time';
+    time.textContent = formatTime(bookmark.time);
+
+    const noteCell = document.createElement('td');
+    const note = document.createElement('input');
+    note.type = 'text';
+    note.value = bookmark.note;
+    note.setAttribute('aria-label', `Note for ${formatTime(bookmark.time)} in ${bookmark.postId}`);
+    note.addEventListener('change', async () => {
+      await Bookmarks.update(bookmark.id, { note: note.value.trim() });
+      showStatus('Saved');
+    });
+    noteCell.append(note);
+
+    const actions = document.createElement('td');
+    actions.className = 'row-actions';
+    const open = document.createElement('a');
+    open.href = Bookmarks.getUrl(bookmark);
+    open.target = '_blank';
+    open.rel = 'noopener';
+    open.textContent = 'Open';
+    const remove = document.createElement('button');
+    remove.type = 'button';
+    remove.textContent = 'Remove';
+    remove.addEventListener('click', async () => {
+      await Bookmarks.remove(bookmark.id);
+      showStatus('Bookmark removed');
+    });
+    actions.append(open, remove);
+
+    row.append(post, time, noteCell, actions);
+    return row;
+  }
+
+  function render(updated) {
+    bookmarks = updated;
+    listEl.replaceChildren(...bookmarks.map(renderBookmark));
+    tableEl.hidden = bookmarks.length === 0;
+    noBookmarksEl.hidden = bookmarks.length > 0;
+  }
+
+  // ============================================================
+  // EXPORT / IMPORT
+  // ============================================================
+
+  // Notes are free text, so link syntax is escaped and line breaks would end the list item
+  function escapeMarkdown(text) {
+    return text.replace(/\s+/g, ' ').trim().replace(/[\\[\]()]/g, '\\$&');
+  }
+
+  function toMarkdown() {
+    const lines = ['# Instagram bookmarks', ''];
+    for (const bookmark of bookmarks) {
+      const label = escapeMarkdown(`${bookmark.creator ? `@${bookmark.creator}` : bookmark.postId} at ${formatTime(bookmark.time)}`);
+      const note = bookmark.note ? ` - ${escapeMarkdown(bookmark.note)}` : '';
+      lines.push(`- [${label}](${Bookmarks.getUrl(bookmark)})${note}`);
+    }
+    return `${lines.join('\n')}\n`;
+  }
+
+  document.getElementById('export-json').addEventListener('click', () => {
+    downloadFile('instagram-bookmarks.json', 'application/json', JSON.stringify(bookmarks, null, 2));
+  });
+
+  document.getElementById('export-markdown').addEventListener('click', () => {
+    downloadFile('instagram-bookmarks.md', 'text/markdown', toMarkdown());
+  });
+
+  importInput.addEventListener('change', async () => {
+    const file = importInput.files[0];
+    importInput.value = '';
+    if (!file) return;
+
+    try {
+      const entries = JSON.parse(await file.text());
+      if (!Array.isArray(entries)) throw new Error('Expected a list of bookmarks');
+      const count = await Bookmarks.import(entries);
+      showStatus(`Imported ${count} bookmark${count === 1 ? '' : 's'}`);
+    } catch (e) {
+      showStatus(`Import failed: ${e.message}`);
+    }
+  });
+
+  // ============================================================
+  // INITIALIZATION
+  // ============================================================
+
+  Bookmarks.onChanged(render);
+  Bookmarks.load().then(render);
+})();
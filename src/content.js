@@ -5,15 +5,11 @@
   'use strict';
 
   // ============================================================
-  // CONFIGURATION
+  // CONFIGURATION - Defaults in settings.js, overridden from the options page
   // ============================================================
   const CONFIG = {
-    DEBUG: false,                    // Set to true to enable console logging
-    SEEK_SECONDS: 10,                // Seconds to skip with arrow keys
-    SEEK_END_BUFFER: 0.5,            // Buffer from end when restoring timestamp
+    ...Settings.DEFAULTS,
     CONTAINER_SEARCH_MAX_DEPTH: 10,  // Max parent levels to search for video container
-    SCAN_DEBOUNCE_MS: 100,           // Debounce delay for video scanning
-    NAVIGATION_SCAN_DELAY_MS: 500,   // Delay before scanning after navigation
   };
 
   function debug(...args) {
@@ -22,134 +18,556 @@
     }
   }
 
+  // ============================================================
+  // SESSION STORE - Per-post values for the browser session, behind the timestamp, loop and subtitle stores
+  // ============================================================
+
+  // Values live in memory first, then in chrome.storage.session so they follow navigation and are
+  // shared between tabs. That rejects until the background worker opened it up to content scripts,
+  // or once its quota is full; sessionStorage keeps the value within the tab then
+  function createSessionStore(prefix) {
+    const storageKey = postId => `${prefix}_${postId}`;
+    const fallbackKey = postId => `ig_${prefix}_${postId}`;
+
+    return {
+      values: new Map(),
+
+      async save(postId, value) {
+        this.values.set(postId, value);
+        try {
+          await chrome.storage.session.set({ [storageKey(postId)]: value });
+        } catch (e) {
+          try {
+            sessionStorage.setItem(fallbackKey(postId), JSON.stringify(value));
+          } catch (e) {}
+        }
+      },
+
+      async get(postId) {
+        if (this.values.has(postId)) return this.values.get(postId);
+
+        let value = null;
+        try {
+          const result = await chrome.storage.session.get(storageKey(postId));
+          value = result[storageKey(postId)] ?? null;
+        } catch (e) {}
+        if (value === null) {
+          try {
+            const stored = sessionStorage.getItem(fallbackKey(postId));
+            if (stored) value = JSON.parse(stored);
+          } catch (e) {}
+        }
+
+        if (value !== null) this.values.set(postId, value);
+        return value;
+      },
+
+      async remove(postId) {
+        this.values.delete(postId);
+        try {
+          await chrome.storage.session.remove(storageKey(postId));
+        } catch (e) {}
+        try {
+          sessionStorage.removeItem(fallbackKey(postId));
+        } catch (e) {}
+      },
+
+      // Every stored value as { postId: value }
+      async entries() {
+        const saved = Object.fromEntries(this.values);
+        try {
+          const result = await chrome.storage.session.get(null);
+          for (const [key, value] of Object.entries(result)) {
+            if (key.startsWith(`${prefix}_`)) saved[key.slice(prefix.length + 1)] ??= value;
+          }
+        } catch (e) {}
+        try {
+          for (let i = 0; i < sessionStorage.length; i++) {
+            const key = sessionStorage.key(i);
+            if (key.startsWith(`ig_${prefix}_`)) saved[key.slice(prefix.length + 4)] ??= JSON.parse(sessionStorage.getItem(key));
+          }
+        } catch (e) {}
+        return saved;
+      }
+    };
+  }
+
   // ============================================================
   // TIMESTAMP STORE - Persists video position for comment navigation
   // ============================================================
   const TimestampStore = {
-    timestamps: new Map(),
+    store: createSessionStore('ts'),
 
     save(postId, currentTime) {
       if (postId && currentTime > 0) {
-        this.timestamps.set(postId, currentTime);
-        // Also save to session storage for cross-navigation persistence
-        try {
-          chrome.storage.session.set({ [`ts_${postId}`]: currentTime });
-        } catch (e) {
-          // Fallback if session storage unavailable
-          sessionStorage.setItem(`ig_ts_${postId}`, currentTime.toString());
-        }
+        this.store.save(postId, currentTime);
         debug('Saved timestamp for', postId, ':', currentTime);
       }
     },
 
+    // Memory only, e.g. a bookmark link's time for this page load
+    seed(postId, time) {
+      this.store.values.set(postId, time);
+    },
+
+    // A position is restored once, then dropped
+    async get(postId) {
+      if (!postId) return null;
+
+      const time = await this.store.get(postId);
+      if (!time) return null;
+      this.store.remove(postId);
+      debug('Restored timestamp for', postId, ':', time);
+      return time;
+    },
+
+    // Every saved position as { postId: seconds }, for the diagnostics panel
+    list() {
+      return this.store.entries();
+    },
+
+    clear(postId) {
+      this.store.remove(postId);
+    }
+  };
+
+  // ============================================================
+  // LOOP STORE - Persists A-B loop markers per post
+  // ============================================================
+  const LoopStore = {
+    store: createSessionStore('loop'),
+
+    save(postId, loop) {
+      if (!postId) return;
+      this.store.save(postId, loop);
+      debug('Saved loop for', postId, ':', loop);
+    },
+
+    // Unlike timestamps, loops stay until cleared so they apply every time the post shows up
+    async get(postId) {
+      if (!postId) return null;
+      return this.store.get(postId);
+    },
+
+    clear(postId) {
+      if (!postId) return;
+      this.store.remove(postId);
+    }
+  };
+
+  // ============================================================
+  // SUBTITLE STORE - Loaded subtitle files per post, reapplied when the post shows up again
+  // ============================================================
+  const SubtitleStore = {
+    tracks: createSessionStore('subs'),        // { name, cues }, written once per loaded file
+    settings: createSessionStore('subset'),    // { offset, size, position }, written on every tweak
+
+    save(postId, { name, cues, offset, size, position }) {
+      if (!postId) return;
+      if (this.tracks.values.get(postId)?.cues !== cues) {
+        this.tracks.save(postId, { name, cues });
+        debug('Saved subtitles for', postId, ':', name);
+      }
+      this.settings.save(postId, { offset, size, position });
+    },
+
     async get(postId) {
       if (!postId) return null;
 
-      // Check memory first
-      if (this.timestamps.has(postId)) {
-        const time = this.timestamps.get(postId);
-        this.timestamps.delete(postId);
-        debug('Restored timestamp for', postId, ':', time);
-        return time;
+      const [track, settings] = await Promise.all([this.tracks.get(postId), this.settings.get(postId)]);
+      if (!track) return null;
+      return { ...SUBTITLE_DEFAULTS, ...track, ...settings };
+    },
+
+    clear(postId) {
+      if (!postId) return;
+      this.tracks.remove(postId);
+      this.settings.remove(postId);
+    }
+  };
+
+  // ============================================================
+  // WATCH HISTORY - Opt-in resume positions that survive browser restarts
+  // ============================================================
+  const DAY_MS = 24 * 60 * 60 * 1000;
+
+  const WatchHistory = {
+    KEY_PREFIX: 'wh_',
+    SAVE_INTERVAL_MS: 5000,      // Throttle for saving while playing
+    PRUNE_INTERVAL_MS: 60000,    // Throttle for expiry/eviction passes
+    MIN_RESUME_SECONDS: 3,       // Don't offer to resume from the very beginning
+    _lastPrune: 0,
+
+    _key(postId) {
+      return `${this.KEY_PREFIX}${postId}`;
+    },
+
+    _isExpired(entry) {
+      return Date.now() - entry.lastWatched > CONFIG.RESUME_TTL_DAYS * DAY_MS;
+    },
+
+    isNearlyFinished(position, duration) {
+      return duration > 0 && position / duration >= CONFIG.RESUME_FINISHED_RATIO;
+    },
+
+    async save(postId, position, duration) {
+      if (!postId || !(position > 0) || !isFinite(duration)) return;
+
+      // Finished videos start from the beginning next time
+      if (this.isNearlyFinished(position, duration)) {
+        this.remove(postId);
+        return;
       }
 
-      // Check chrome storage
       try {
-        const result = await chrome.storage.session.get(`ts_${postId}`);
-        if (result[`ts_${postId}`]) {
-          chrome.storage.session.remove(`ts_${postId}`);
-          debug('Restored timestamp from storage for', postId, ':', result[`ts_${postId}`]);
-          return result[`ts_${postId}`];
-        }
+        await chrome.storage.local.set({
+          [this._key(postId)]: { postId, position, duration, lastWatched: Date.now() }
+        });
+        debug('Saved watch history for', postId, ':', position);
       } catch (e) {
-        // Fallback to sessionStorage
-        const time = sessionStorage.getItem(`ig_ts_${postId}`);
-        if (time) {
-          sessionStorage.removeItem(`ig_ts_${postId}`);
-          return parseFloat(time);
-        }
+        debug('Could not save watch history:', e);
+        return;
       }
-
-      return null;
+      this.prune();
     },
 
-    clear(postId) {
-      this.timestamps.delete(postId);
+    async get(postId) {
+      if (!postId) return null;
+
       try {
-        chrome.storage.session.remove(`ts_${postId}`);
+        const key = this._key(postId);
+        const result = await chrome.storage.local.get(key);
+        const entry = result[key];
+        if (!entry) return null;
+
+        if (this._isExpired(entry) || this.isNearlyFinished(entry.position, entry.duration)) {
+          this.remove(postId);
+          return null;
+        }
+        return entry;
       } catch (e) {
-        sessionStorage.removeItem(`ig_ts_${postId}`);
+        return null;
       }
+    },
+
+    remove(postId) {
+      if (!postId) return;
+      try {
+        chrome.storage.local.remove(this._key(postId));
+      } catch (e) {}
+    },
+
+    // Drops expired entries, then evicts the least recently watched beyond the size limit
+    async prune(force = false) {
+      const now = Date.now();
+      if (!force && now - this._lastPrune < this.PRUNE_INTERVAL_MS) return;
+      this._lastPrune = now;
+
+      try {
+        const all = await chrome.storage.local.get(null);
+        const entries = Object.entries(all).filter(([key]) => key.startsWith(this.KEY_PREFIX));
+        const expired = entries.filter(([, entry]) => this._isExpired(entry));
+        const evicted = entries
+          .filter(([, entry]) => !this._isExpired(entry))
+          .sort((a, b) => b[1].lastWatched - a[1].lastWatched)
+          .slice(CONFIG.RESUME_MAX_ENTRIES);
+
+        const keys = [...expired, ...evicted].map(([key]) => key);
+        if (keys.length > 0) {
+          await chrome.storage.local.remove(keys);
+          debug('Pruned watch history entries:', keys.length);
+        }
+      } catch (e) {}
     }
   };
 
   // ============================================================
-  // PREFERENCES - Persists user preferences like mute state
+  // PREFERENCES - Mute, volume and normalization, shared by the tabs of a browser session
   // ============================================================
   const Preferences = {
-    _muted: true, // Instagram default is muted
-    _volume: 1,
+    STORAGE_KEY: 'preferences',
+    SOURCE: Math.random().toString(36).slice(2), // Tells this tab's own writes apart in onChanged
+    _muted: null, // null until the user (un)mutes, then CONFIG.DEFAULT_MUTED applies
+    _volume: null, // null until the user picks a volume, then CONFIG.DEFAULT_VOLUME applies
+    _normalize: false,
 
     get muted() {
-      return this._muted;
+      return this._muted ?? CONFIG.DEFAULT_MUTED;
     },
 
     set muted(value) {
       this._muted = value;
-      try {
-        sessionStorage.setItem('ig_enhancer_muted', value.toString());
-      } catch (e) {}
+      this._persist();
     },
 
     get volume() {
-      return this._volume;
+      return this._volume ?? CONFIG.DEFAULT_VOLUME;
+    },
+
+    get hasCustomVolume() {
+      return this._volume !== null;
     },
 
     set volume(value) {
       this._volume = value;
+      this._persist();
+    },
+
+    get normalize() {
+      return this._normalize;
+    },
+
+    set normalize(value) {
+      this._normalize = value;
+      this._persist();
+    },
+
+    // Drops the user's mute choice so a changed default applies again
+    resetMuted() {
+      this._muted = null;
+      this._persist();
+    },
+
+    async _persist() {
+      const value = {
+        muted: this._muted,
+        volume: this._volume,
+        normalize: this._normalize,
+        source: this.SOURCE,
+      };
       try {
-        sessionStorage.setItem('ig_enhancer_volume', value.toString());
-      } catch (e) {}
+        await chrome.storage.session.set({ [this.STORAGE_KEY]: value });
+      } catch (e) {
+        // Fallback if session storage is unavailable or rejects, preferences then stay within the tab
+        try {
+          sessionStorage.setItem(`ig_enhancer_${this.STORAGE_KEY}`, JSON.stringify(value));
+        } catch (e) {}
+      }
+    },
+
+    // Takes over stored values, returns the names of the fields that changed
+    _assign(value) {
+      const next = {
+        _muted: value.muted ?? null,
+        _volume: value.volume ?? null,
+        _normalize: Boolean(value.normalize),
+      };
+      const changed = Object.keys(next).filter(key => next[key] !== this[key]).map(key => key.slice(1));
+      Object.assign(this, next);
+      return changed;
     },
 
-    load() {
+    async load() {
       try {
-        const muted = sessionStorage.getItem('ig_enhancer_muted');
-        const volume = sessionStorage.getItem('ig_enhancer_volume');
-        if (muted !== null) this._muted = muted === 'true';
-        if (volume !== null) this._volume = parseFloat(volume);
-      } catch (e) {}
+        const result = await chrome.storage.session.get(this.STORAGE_KEY);
+        if (result[this.STORAGE_KEY]) this._assign(result[this.STORAGE_KEY]);
+      } catch (e) {
+        try {
+          const stored = sessionStorage.getItem(`ig_enhancer_${this.STORAGE_KEY}`);
+          if (stored) this._assign(JSON.parse(stored));
+        } catch (e) {}
+      }
+    },
+
+    // Calls back with the changed field names, e.g. ['muted'], when another tab updates them
+    onChanged(callback) {
+      chrome.storage.onChanged.addListener((changes, area) => {
+        const change = changes[this.STORAGE_KEY];
+        if (area !== 'session' || !change) return;
+        if (change.newValue?.source === this.SOURCE) return;
+
+        const changed = this._assign(change.newValue || {});
+        if (changed.length > 0) {
+          debug('Preferences changed in another tab:', changed);
+          callback(changed);
+        }
+      });
     }
   };
 
-  // Load preferences on init
-  Preferences.load();
-
   // ============================================================
   // UTILITY FUNCTIONS
   // ============================================================
 
-  function formatTime(seconds) {
-    if (!isFinite(seconds) || seconds < 0) return '0:00';
+  // Localised UI string from _locales
+  function t(name, ...substitutions) {
+    return chrome.i18n.getMessage(name, substitutions) || name;
+  }
+
+  // Fills the data-i18n placeholders of an innerHTML template. Messages go in as attributes and text,
+  // never as markup, so a translation with quotes or brackets can't break the template
+  const I18N_ATTRIBUTES = {
+    'data-i18n-label': 'aria-label',
+    'data-i18n-title': 'title',
+    'data-i18n-placeholder': 'placeholder',
+  };
+
+  function localize(root) {
+    root.querySelectorAll('[data-i18n]').forEach(element => {
+      element.textContent = t(element.dataset.i18n);
+    });
+    for (const [source, target] of Object.entries(I18N_ATTRIBUTES)) {
+      root.querySelectorAll(`[${source}]`).forEach(element => {
+        element.setAttribute(target, t(element.getAttribute(source)));
+      });
+    }
+  }
+
+  // "1 minute 5 seconds" in the browser's UI language, for aria-valuetext and announcements
+  function formatSpokenTime(seconds) {
+    if (!isFinite(seconds) || seconds < 0) seconds = 0;
+    const language = chrome.i18n.getUILanguage();
     const mins = Math.floor(seconds / 60);
     const secs = Math.floor(seconds % 60);
-    return `${mins}:${secs.toString().padStart(2, '0')}`;
+    const unit = (value, name) =>
+      new Intl.NumberFormat(language, { style: 'unit', unit: name, unitDisplay: 'long' }).format(value);
+
+    if (mins === 0) return unit(secs, 'second');
+    if (secs === 0) return unit(mins, 'minute');
+    return `${unit(mins, 'minute')} ${unit(secs, 'second')}`;
   }
 
-  function getPostId(element) {
+  // Polite live region shared by all overlays, for changes made without focusing a control
+  let liveRegion = null;
+
+  function announce(text) {
+    if (!liveRegion || !liveRegion.isConnected) {
+      liveRegion = document.createElement('div');
+      liveRegion.className = 'ig-enhancer-live-region';
+      liveRegion.setAttribute('role', 'status');
+      liveRegion.setAttribute('aria-live', 'polite');
+      document.body.appendChild(liveRegion);
+    }
+    // Clearing first makes repeated identical messages get announced again
+    liveRegion.textContent = '';
+    setTimeout(() => {
+      liveRegion.textContent = text;
+    }, 50);
+  }
+
+  function prefersReducedMotion() {
+    return window.matchMedia('(prefers-reduced-motion: reduce)').matches;
+  }
+
+  function scrollBehavior() {
+    return prefersReducedMotion() ? 'auto' : 'smooth';
+  }
+
+  // Overlay state classes drive the styling, aria-pressed tells assistive tech the same
+  const TOGGLE_BUTTONS = {
+    'is-playing': '.ig-enhancer-play-btn',
+    'is-muted': '.ig-enhancer-mute-btn',
+    'is-normalized': '.ig-enhancer-normalize-btn',
+    'is-pip': '.ig-enhancer-pip-btn',
+    'is-theater': '.ig-enhancer-theater-btn',
+    'is-fullscreen': '.ig-enhancer-fullscreen-btn',
+    'has-loop-a': '.ig-enhancer-loop-a',
+    'has-loop-b': '.ig-enhancer-loop-b',
+  };
+
+  function setOverlayToggle(overlay, className, enabled) {
+    overlay.classList.toggle(className, enabled);
+    overlay.querySelector(TOGGLE_BUTTONS[className])?.setAttribute('aria-pressed', String(enabled));
+  }
+
+  function renderSpeedOptions(select, currentRate) {
+    const speeds = [...CONFIG.PLAYBACK_SPEEDS];
+    // Keep a rate set elsewhere selectable even if it isn't in the configured list
+    if (!speeds.includes(currentRate)) {
+      speeds.push(currentRate);
+      speeds.sort((a, b) => a - b);
+    }
+
+    select.replaceChildren(...speeds.map(speed => {
+      const option = document.createElement('option');
+      option.value = speed;
+      option.textContent = `${speed}x`;
+      return option;
+    }));
+    select.value = currentRate;
+  }
+
+  const POST_PATH_PATTERN = /\/(p|reel)\/([A-Za-z0-9_-]+)/;
+  const STORY_PATH_PATTERN = /^\/stories\/([A-Za-z0-9._]+)\/(\d+)/;
+  const REELS_TAB_PATTERN = /^\/reels(\/|$)/;
+  const PROFILE_PATH_PATTERN = /^\/([A-Za-z0-9._]+)\/?(reels|tagged|saved)?\/?$/;
+  const NON_PROFILE_SEGMENTS = new Set(['explore', 'direct', 'stories', 'accounts', 'tv', 'reels']);
+
+  // Which part of Instagram we're on: 'feed', 'reels', 'post' (modal or post page), 'profile' or 'stories'
+  function getPageContext() {
+    const path = window.location.pathname;
+    if (path.startsWith('/stories/')) return 'stories';
+    if (POST_PATH_PATTERN.test(path)) return 'post';
+    if (REELS_TAB_PATTERN.test(path)) return 'reels';
+
+    const profileMatch = path.match(PROFILE_PATH_PATTERN);
+    if (profileMatch && !NON_PROFILE_SEGMENTS.has(profileMatch[1])) return 'profile';
+
+    return 'feed';
+  }
+
+  const USERNAME_PATH_PATTERN = /^\/([A-Za-z0-9._]+)\/?$/;
+
+  function getUsernameFromLink(link) {
+    const url = new URL(link.href, window.location.href);
+    if (url.hostname !== window.location.hostname) return null;
+
+    const match = url.pathname.match(USERNAME_PATH_PATTERN);
+    return match && !NON_PROFILE_SEGMENTS.has(match[1]) ? match[1] : null;
+  }
+
+  function findUsernameIn(element) {
+    for (const link of element.querySelectorAll('a[href]')) {
+      const username = getUsernameFromLink(link);
+      if (username) return username;
+    }
+    return null;
+  }
+
+  // The account that posted the video, found like getPostId: article header, profile URL, ancestors
+  function getCreator(element) {
+    // The post header links to the author first
+    const article = element.closest('article');
+    if (article) {
+      const username = findUsernameIn(article);
+      if (username) return username;
+    }
+
+    // Every video on a profile page belongs to that profile
+    if (getPageContext() === 'profile') {
+      return window.location.pathname.match(PROFILE_PATH_PATTERN)[1];
+    }
+
+    // Reels and the post modal have no article, walk up a few levels instead
+    let parent = element.parentElement;
+    for (let depth = 0; parent && parent !== document.body && depth < CONFIG.CONTAINER_SEARCH_MAX_DEPTH; depth++) {
+      const username = findUsernameIn(parent);
+      if (username) return username;
+      parent = parent.parentElement;
+    }
+
+    return null;
+  }
+
+  // Returns { postId, strategy }, the strategy names the source that found the id for diagnostics
+  function resolvePostId(element) {
     // Try to find post ID from various sources
 
-    // Check URL first (works in modals and direct post pages)
-    const urlMatch = window.location.pathname.match(/\/(p|reel)\/([A-Za-z0-9_-]+)/);
-    if (urlMatch) return urlMatch[2];
+    // Story items have their id in the URL, prefixed to keep them apart from post shortcodes
+    const storyMatch = window.location.pathname.match(STORY_PATH_PATTERN);
+    if (storyMatch) return { postId: `story-${storyMatch[2]}`, strategy: 'story-url' };
+
+    // Then the post URL (works in modals and direct post pages)
+    const urlMatch = window.location.pathname.match(POST_PATH_PATTERN);
+    if (urlMatch) return { postId: urlMatch[2], strategy: 'url' };
 
     // Look for link in article
     const article = element.closest('article');
     if (article) {
       const link = article.querySelector('a[href*="/p/"], a[href*="/reel/"]');
       if (link) {
-        const match = link.href.match(/\/(p|reel)\/([A-Za-z0-9_-]+)/);
-        if (match) return match[2];
+        const match = link.href.match(POST_PATH_PATTERN);
+        if (match) return { postId: match[2], strategy: 'article-link' };
       }
     }
 
@@ -158,13 +576,24 @@
     while (parent && parent !== document.body) {
       const link = parent.querySelector('a[href*="/p/"], a[href*="/reel/"]');
       if (link) {
-        const match = link.href.match(/\/(p|reel)\/([A-Za-z0-9_-]+)/);
-        if (match) return match[2];
+        const match = link.href.match(POST_PATH_PATTERN);
+        if (match) return { postId: match[2], strategy: 'ancestor-walk' };
       }
       parent = parent.parentElement;
     }
 
-    return null;
+    return { postId: null, strategy: null };
+  }
+
+  function getPostId(element) {
+    return resolvePostId(element).postId;
+  }
+
+  // The post a video belongs to, as resolved when it was enhanced. Resolving it again can go wrong:
+  // the URL names the open modal's post, and the docked video has left its post altogether
+  function getVideoPostId(video) {
+    if (video === MiniPlayer.video) return MiniPlayer.postId;
+    return video._igEnhancerPostId ?? getPostId(video);
   }
 
   function getVideoContainer(video) {
@@ -177,6 +606,8 @@
     const wrapper = document.createElement('div');
     wrapper.className = 'ig-enhancer-wrapper';
     wrapper.style.cssText = 'position: relative; width: 100%; height: 100%;';
+    // Focusable from script, a click on the video focuses it for the arrow keys
+    wrapper.tabIndex = -1;
 
     // Insert wrapper around video
     video.parentElement.insertBefore(wrapper, video);
@@ -193,9 +624,11 @@
   function createControlsOverlay(video) {
     const overlay = document.createElement('div');
     overlay.className = 'ig-enhancer-controls';
+    overlay.setAttribute('role', 'group');
+    overlay.setAttribute('aria-label', t('videoControls'));
     overlay.innerHTML = `
       <div class="ig-enhancer-controls-inner">
-        <button class="ig-enhancer-play-btn" aria-label="Play/Pause">
+        <button class="ig-enhancer-play-btn" data-i18n-label="play" aria-pressed="false">
           <svg class="play-icon" viewBox="0 0 24 24" fill="currentColor">
             <path d="M8 5v14l11-7z"/>
           </svg>
@@ -203,17 +636,23 @@
             <path d="M6 19h4V5H6v14zm8-14v14h4V5h-4z"/>
           </svg>
         </button>
-        <span class="ig-enhancer-time current">0:00</span>
+        <span class="ig-enhancer-time current" aria-hidden="true">0:00</span>
         <div class="ig-enhancer-progress-container">
-          <input type="range" class="ig-enhancer-progress" min="0" max="100" value="0" step="0.1">
+          <input type="range" class="ig-enhancer-progress" min="0" max="100" value="0" step="0.1" data-i18n-label="seek">
           <div class="ig-enhancer-progress-bar">
-            <div class="ig-enhancer-progress-filled"></div>
             <div class="ig-enhancer-progress-buffered"></div>
+            <div class="ig-enhancer-progress-filled"></div>
+            <div class="ig-enhancer-progress-loop"></div>
+            <div class="ig-enhancer-progress-bookmarks"></div>
+          </div>
+          <div class="ig-enhancer-preview" aria-hidden="true">
+            <canvas class="ig-enhancer-preview-frame"></canvas>
+            <span class="ig-enhancer-preview-time">0:00</span>
           </div>
         </div>
-        <span class="ig-enhancer-time duration">0:00</span>
+        <span class="ig-enhancer-time duration" aria-hidden="true">0:00</span>
         <div class="ig-enhancer-volume-container">
-          <button class="ig-enhancer-mute-btn" aria-label="Mute/Unmute">
+          <button class="ig-enhancer-mute-btn" data-i18n-label="mute" aria-pressed="false">
             <svg class="volume-icon" viewBox="0 0 24 24" fill="currentColor">
               <path d="M3 9v6h4l5 5V4L7 9H3zm13.5 3c0-1.77-1.02-3.29-2.5-4.03v8.05c1.48-.73 2.5-2.25 2.5-4.02zM14 3.23v2.06c2.89.86 5 3.54 5 6.71s-2.11 5.85-5 6.71v2.06c4.01-.91 7-4.49 7-8.77s-2.99-7.86-7-8.77z"/>
             </svg>
@@ -221,29 +660,71 @@
               <path d="M16.5 12c0-1.77-1.02-3.29-2.5-4.03v2.21l2.45 2.45c.03-.2.05-.41.05-.63zm2.5 0c0 .94-.2 1.82-.54 2.64l1.51 1.51C20.63 14.91 21 13.5 21 12c0-4.28-2.99-7.86-7-8.77v2.06c2.89.86 5 3.54 5 6.71zM4.27 3L3 4.27 7.73 9H3v6h4l5 5v-6.73l4.25 4.25c-.67.52-1.42.93-2.25 1.18v2.06c1.38-.31 2.63-.95 3.69-1.81L19.73 21 21 19.73l-9-9L4.27 3zM12 4L9.91 6.09 12 8.18V4z"/>
             </svg>
           </button>
-          <input type="range" class="ig-enhancer-volume" min="0" max="1" value="1" step="0.05">
+          <input type="range" class="ig-enhancer-volume" min="0" max="3" value="1" step="0.05" data-i18n-label="volume">
+          <button class="ig-enhancer-normalize-btn" data-i18n-label="normalizeLoudness" aria-pressed="false">
+            <svg viewBox="0 0 24 24" fill="currentColor">
+              <path d="M7 18h2V6H7v12zm4 4h2V2h-2v20zm-8-8h2v-4H3v4zm12 4h2V6h-2v12zm4-8v4h2v-4h-2z"/>
+            </svg>
+          </button>
         </div>
+        <div class="ig-enhancer-loop-container">
+          <button class="ig-enhancer-loop-a" data-i18n-label="setLoopStart" aria-pressed="false">A</button>
+          <button class="ig-enhancer-loop-b" data-i18n-label="setLoopEnd" aria-pressed="false">B</button>
+          <button class="ig-enhancer-loop-clear" data-i18n-label="clearLoop">&times;</button>
+        </div>
+        <button class="ig-enhancer-subtitles-btn" data-i18n-label="subtitles" data-i18n-title="subtitles" aria-expanded="false">
+          <svg viewBox="0 0 24 24" fill="currentColor">
+            <path d="M19 4H5c-1.11 0-2 .9-2 2v12c0 1.1.89 2 2 2h14c1.1 0 2-.9 2-2V6c0-1.1-.9-2-2-2zm-8 7H9.5v-.5h-2v3h2V13H11v1c0 .55-.45 1-1 1H7c-.55 0-1-.45-1-1v-4c0-.55.45-1 1-1h3c.55 0 1 .45 1 1v1zm7 0h-1.5v-.5h-2v3h2V13H18v1c0 .55-.45 1-1 1h-3c-.55 0-1-.45-1-1v-4c0-.55.45-1 1-1h3c.55 0 1 .45 1 1v1z"/>
+          </svg>
+        </button>
+        <input type="file" class="ig-enhancer-subtitles-file" accept=".srt,.vtt,text/vtt" hidden>
+        <button class="ig-enhancer-bookmark-btn" data-i18n-label="bookmarkMoment" data-i18n-title="bookmarkMoment">
+          <svg viewBox="0 0 24 24" fill="currentColor">
+            <path d="M17 3H7c-1.1 0-1.99.9-1.99 2L5 21l7-3 7 3V5c0-1.1-.9-2-2-2zm0 15l-5-2.18L7 18V5h10v13z"/>
+          </svg>
+        </button>
         <div class="ig-enhancer-speed-container">
-          <select class="ig-enhancer-speed">
-            <option value="0.5">0.5x</option>
-            <option value="0.75">0.75x</option>
-            <option value="1" selected>1x</option>
-            <option value="1.25">1.25x</option>
-            <option value="1.5">1.5x</option>
-            <option value="2">2x</option>
-          </select>
+          <select class="ig-enhancer-speed" data-i18n-label="playbackSpeed"></select>
+          <button class="ig-enhancer-creator-btn" data-i18n-label="saveForCreator">
+            <svg viewBox="0 0 24 24" fill="currentColor">
+              <path d="M12 12c2.21 0 4-1.79 4-4s-1.79-4-4-4-4 1.79-4 4 1.79 4 4 4zm0 2c-2.67 0-8 1.34-8 4v2h16v-2c0-2.66-5.33-4-8-4z"/>
+            </svg>
+          </button>
+        </div>
+        <div class="ig-enhancer-view-container">
+          <button class="ig-enhancer-pip-btn" data-i18n-label="pictureInPicture" aria-pressed="false">
+            <svg viewBox="0 0 24 24" fill="currentColor">
+              <path d="M19 11h-8v6h8v-6zm4 8V4.98C23 3.88 22.1 3 21 3H3c-1.1 0-2 .88-2 1.98V19c0 1.1.9 2 2 2h18c1.1 0 2-.9 2-2zm-2 .02H3V4.97h18v14.05z"/>
+            </svg>
+          </button>
+          <button class="ig-enhancer-theater-btn" data-i18n-label="theaterMode" aria-pressed="false">
+            <svg viewBox="0 0 24 24" fill="currentColor">
+              <path d="M19 6H5c-1.1 0-2 .9-2 2v8c0 1.1.9 2 2 2h14c1.1 0 2-.9 2-2V8c0-1.1-.9-2-2-2zm0 10H5V8h14v8z"/>
+            </svg>
+          </button>
+          <button class="ig-enhancer-fullscreen-btn" data-i18n-label="fullscreen" aria-pressed="false">
+            <svg class="enter-fullscreen-icon" viewBox="0 0 24 24" fill="currentColor">
+              <path d="M7 14H5v5h5v-2H7v-3zm-2-4h2V7h3V5H5v5zm12 7h-3v2h5v-5h-2v3zM14 5v2h3v3h2V5h-5z"/>
+            </svg>
+            <svg class="exit-fullscreen-icon" viewBox="0 0 24 24" fill="currentColor">
+              <path d="M5 16h3v3h2v-5H5v2zm3-8H5v2h5V5H8v3zm6 11h2v-3h3v-2h-5v5zm2-11V5h-2v5h5V8h-3z"/>
+            </svg>
+          </button>
         </div>
       </div>
     `;
+    localize(overlay);
 
     // Get elements
     const playBtn = overlay.querySelector('.ig-enhancer-play-btn');
     const progressInput = overlay.querySelector('.ig-enhancer-progress');
     const progressFilled = overlay.querySelector('.ig-enhancer-progress-filled');
+    const progressBuffered = overlay.querySelector('.ig-enhancer-progress-buffered');
     const currentTimeEl = overlay.querySelector('.ig-enhancer-time.current');
     const durationEl = overlay.querySelector('.ig-enhancer-time.duration');
     const muteBtn = overlay.querySelector('.ig-enhancer-mute-btn');
     const volumeInput = overlay.querySelector('.ig-enhancer-volume');
+    const normalizeBtn = overlay.querySelector('.ig-enhancer-normalize-btn');
     const speedSelect = overlay.querySelector('.ig-enhancer-speed');
 
     // AbortController for cleanup of all event listeners
@@ -254,7 +735,7 @@
 
     // Update play/pause button state
     function updatePlayState() {
-      overlay.classList.toggle('is-playing', !video.paused);
+      setOverlayToggle(overlay, 'is-playing', !video.paused);
     }
 
     // Update progress bar
@@ -264,7 +745,32 @@
         progressInput.value = percent;
         progressFilled.style.width = `${percent}%`;
         currentTimeEl.textContent = formatTime(video.currentTime);
+        updateProgressText(video.currentTime);
+      }
+    }
+
+    function updateProgressText(time) {
+      progressInput.setAttribute('aria-valuetext',
+        t('timeOfDuration', formatSpokenTime(time), formatSpokenTime(video.duration)));
+    }
+
+    // Update buffered ranges, one segment per TimeRanges entry
+    function updateBuffered() {
+      const { buffered, duration } = video;
+      if (!duration || !isFinite(duration)) {
+        progressBuffered.replaceChildren();
+        return;
+      }
+
+      const segments = [];
+      for (let i = 0; i < buffered.length; i++) {
+        const segment = document.createElement('div');
+        segment.className = 'ig-enhancer-buffered-range';
+        segment.style.left = `${(buffered.start(i) / duration) * 100}%`;
+        segment.style.width = `${((buffered.end(i) - buffered.start(i)) / duration) * 100}%`;
+        segments.push(segment);
       }
+      progressBuffered.replaceChildren(...segments);
     }
 
     // Update duration display
@@ -275,8 +781,13 @@
 
     // Update volume state
     function updateVolumeState() {
-      overlay.classList.toggle('is-muted', video.muted || video.volume === 0);
-      volumeInput.value = video.muted ? 0 : video.volume;
+      const level = getVolumeLevel(video);
+      setOverlayToggle(overlay, 'is-muted', video.muted || level === 0);
+      overlay.classList.toggle('is-boosted', !video.muted && level > 1);
+      setOverlayToggle(overlay, 'is-normalized', Preferences.normalize);
+      volumeInput.value = video.muted ? 0 : level;
+      volumeInput.title = `${Math.round(level * 100)}%`;
+      volumeInput.setAttribute('aria-valuetext', video.muted ? t('muted') : `${Math.round(level * 100)}%`);
     }
 
     // Event listeners for video (with signal for cleanup)
@@ -285,16 +796,21 @@
     video.addEventListener('timeupdate', updateProgress, { signal });
     video.addEventListener('loadedmetadata', updateDuration, { signal });
     video.addEventListener('durationchange', updateDuration, { signal });
+    video.addEventListener('progress', updateBuffered, { signal });
+    video.addEventListener('durationchange', updateBuffered, { signal });
+    video.addEventListener('emptied', updateBuffered, { signal });
     video.addEventListener('volumechange', updateVolumeState, { signal });
+    video.addEventListener(VOLUME_LEVEL_EVENT, updateVolumeState, { signal });
+    video.addEventListener('ratechange', () => renderSpeedOptions(speedSelect, video.playbackRate), { signal });
 
     // Play/pause button
     playBtn.addEventListener('click', (e) => {
       e.preventDefault();
       e.stopPropagation();
       if (video.paused) {
-        video.play();
+        playByUser(video);
       } else {
-        video.pause();
+        pauseByUser(video);
       }
     }, { signal });
 
@@ -304,6 +820,7 @@
       const percent = parseFloat(e.target.value);
       progressFilled.style.width = `${percent}%`;
       currentTimeEl.textContent = formatTime((percent / 100) * video.duration);
+      updateProgressText((percent / 100) * video.duration);
     }, { signal });
 
     progressInput.addEventListener('change', (e) => {
@@ -330,26 +847,70 @@
 
     // Volume slider
     volumeInput.addEventListener('input', (e) => {
-      video.volume = parseFloat(e.target.value);
-      video.muted = video.volume === 0;
-      Preferences.volume = video.volume;
+      const level = parseFloat(e.target.value);
+      setVolumeLevel(video, level);
+      video.muted = level === 0;
+      Preferences.volume = level;
       Preferences.muted = video.muted;
     }, { signal });
 
+    // Remember the current speed, volume and mute state for the post's creator
+    overlay.querySelector('.ig-enhancer-creator-btn').addEventListener('click', (e) => {
+      e.preventDefault();
+      e.stopPropagation();
+      saveCreatorRule(video);
+    }, { signal });
+
+    // Loudness normalization applies to every video, like the other volume preferences
+    normalizeBtn.addEventListener('click', (e) => {
+      e.preventDefault();
+      e.stopPropagation();
+      AudioBoost.setNormalize(!Preferences.normalize);
+    }, { signal });
+
     // Speed selector
     speedSelect.addEventListener('change', (e) => {
       video.playbackRate = parseFloat(e.target.value);
     }, { signal });
 
+    // Picture-in-picture, theater and fullscreen buttons
+    const bindViewButton = (selector, toggle) => {
+      overlay.querySelector(selector).addEventListener('click', (e) => {
+        e.preventDefault();
+        e.stopPropagation();
+        toggle(video);
+      }, { signal });
+    };
+    bindViewButton('.ig-enhancer-pip-btn', togglePictureInPicture);
+    bindViewButton('.ig-enhancer-theater-btn', toggleTheater);
+    bindViewButton('.ig-enhancer-fullscreen-btn', toggleFullscreen);
+
+    // Hover preview on the progress bar
+    attachProgressPreview(video, overlay.querySelector('.ig-enhancer-progress-container'), signal);
+
     // Prevent clicks from propagating to Instagram's handlers
     overlay.addEventListener('click', (e) => {
       e.stopPropagation();
     }, { signal });
 
+    // Instagram's key and pointer handlers would otherwise move focus out of the overlay or act on
+    // keys meant for the focused control, so our shortcuts are handled right here instead
+    overlay.addEventListener('keydown', (e) => {
+      handleShortcut(e);
+      e.stopPropagation();
+    }, { signal });
+    for (const type of ['keyup', 'pointerdown', 'mousedown']) {
+      overlay.addEventListener(type, (e) => {
+        e.stopPropagation();
+      }, { signal });
+    }
+
     // Initial state
+    renderSpeedOptions(speedSelect, video.playbackRate);
     updatePlayState();
     updateVolumeState();
     if (video.duration) updateDuration();
+    updateBuffered();
 
     // Attach abort controller to overlay for cleanup
     overlay._abortController = abortController;
@@ -358,76 +919,2577 @@
   }
 
   // ============================================================
-  // VIDEO ENHANCER - Detects and enhances videos
+  // CONTROLS APPEARANCE - Theme, bar position, compact layout and auto-hide
   // ============================================================
 
-  function enhanceVideo(video) {
-    // Skip if already enhanced
-    if (video.dataset.igEnhanced) return;
-    video.dataset.igEnhanced = 'true';
+  const APPEARANCE_SETTINGS = [
+    'CONTROLS_AUTO_HIDE',
+    'CONTROLS_HIDE_DELAY_MS',
+    'CONTROLS_POSITION',
+    'CONTROLS_THEME',
+    'CONTROLS_LAYOUT',
+    'COMPACT_LAYOUT_WIDTH',
+  ];
+
+  // Returns { update, show }, update() re-reads CONFIG after a settings change
+  function attachControlsAppearance(video, overlay) {
+    const wrapper = overlay.parentElement;
+    const { signal } = overlay._abortController;
+    let hideTimer = null;
+    let wrapperWidth = wrapper.clientWidth;
+
+    function setIdle(idle) {
+      overlay.classList.toggle('is-idle', idle);
+      wrapper.classList.toggle('ig-enhancer-idle', idle);
+    }
 
-    const container = getVideoContainer(video);
-    if (!container) return;
+    // Paused videos, focused controls and a pointer resting on the bar keep the controls visible
+    function canHide() {
+      return CONFIG.CONTROLS_AUTO_HIDE && !video.paused && !overlay.matches(':focus-within, :hover');
+    }
 
-    // Create and attach controls
-    const controls = createControlsOverlay(video);
-    container.appendChild(controls);
+    function scheduleHide() {
+      clearTimeout(hideTimer);
+      if (!CONFIG.CONTROLS_AUTO_HIDE) return;
+      hideTimer = setTimeout(() => {
+        if (canHide()) setIdle(true);
+      }, CONFIG.CONTROLS_HIDE_DELAY_MS);
+    }
 
-    // Apply saved preferences (mute state)
-    if (!Preferences.muted) {
-      // User previously unmuted, so unmute this video too
-      video.muted = false;
-      video.volume = Preferences.volume;
+    function show() {
+      setIdle(false);
+      scheduleHide();
     }
 
-    // Check for saved timestamp
-    const postId = getPostId(video);
-    debug('Enhancing video, postId:', postId);
-    if (postId) {
-      TimestampStore.get(postId).then(savedTime => {
-        debug('Retrieved saved time for', postId, ':', savedTime);
-        if (savedTime && savedTime > 0) {
-          // Wait for video to be ready
-          const seekToSaved = () => {
-            if (video.readyState >= 1 && video.duration) {
-              debug('Seeking to saved time:', savedTime);
-              video.currentTime = Math.min(savedTime, video.duration - CONFIG.SEEK_END_BUFFER);
-            } else {
-              debug('Video not ready, waiting for loadedmetadata');
-              video.addEventListener('loadedmetadata', () => {
-                debug('Metadata loaded, seeking to:', savedTime);
-                video.currentTime = Math.min(savedTime, video.duration - CONFIG.SEEK_END_BUFFER);
-              }, { once: true });
-            }
-          };
-          seekToSaved();
-        }
-      });
+    function updateLayout() {
+      const compact = CONFIG.CONTROLS_LAYOUT === 'compact' || (CONFIG.CONTROLS_LAYOUT === 'auto'
+        && wrapperWidth > 0 && wrapperWidth < CONFIG.COMPACT_LAYOUT_WIDTH);
+      overlay.classList.toggle('is-compact', compact);
     }
 
-    // Store cleanup function
-    video._igEnhancerCleanup = () => {
-      // Abort all event listeners
-      if (controls._abortController) {
-        controls._abortController.abort();
-      }
-      // Remove controls
-      if (controls.parentNode) {
+    function update() {
+      overlay.dataset.theme = CONFIG.CONTROLS_THEME;
+      overlay.dataset.position = CONFIG.CONTROLS_POSITION;
+      updateLayout();
+      show();
+    }
+
+    // Feed, modal and theater sizes differ, so the layout follows the wrapper rather than the viewport
+    const resizeObserver = new ResizeObserver(entries => {
+      wrapperWidth = entries[entries.length - 1].contentRect.width;
+      updateLayout();
+    });
+    resizeObserver.observe(wrapper);
+
+    wrapper.addEventListener('pointermove', show, { signal });
+    wrapper.addEventListener('pointerleave', () => {
+      clearTimeout(hideTimer);
+      if (canHide()) setIdle(true);
+    }, { signal });
+    overlay.addEventListener('focusin', show, { signal });
+    overlay.addEventListener('focusout', scheduleHide, { signal });
+    video.addEventListener('play', scheduleHide, { signal });
+    video.addEventListener('pause', show, { signal });
+
+    signal.addEventListener('abort', () => {
+      clearTimeout(hideTimer);
+      resizeObserver.disconnect();
+      wrapper.classList.remove('ig-enhancer-idle');
+    });
+
+    update();
+    return { update, show };
+  }
+
+  // ============================================================
+  // AUDIO BOOST - Web Audio gain above 100% and loudness normalization
+  // ============================================================
+
+  const MAX_VOLUME_LEVEL = 3;                           // 300%, levels above 1 go through a GainNode
+  const VOLUME_LEVEL_EVENT = 'ig-enhancer-levelchange'; // Boost changes don't fire 'volumechange'
+
+  const AudioBoost = {
+    context: null,
+    NORMALIZE_TARGET_DB: -20,     // RMS level videos are evened out to
+    NORMALIZE_SILENCE_DB: -60,    // Quieter than this is a pause, not a quiet video
+    NORMALIZE_MIN_GAIN: 0.25,
+    NORMALIZE_MAX_GAIN: 4,
+    NORMALIZE_SMOOTHING: 0.2,     // Weight of the newest measurement in the running average
+    MEASURE_INTERVAL_MS: 250,
+
+    // Cross-origin sources without CORS play silence through Web Audio, MediaSource blobs are fine
+    canRoute(video) {
+      return video.currentSrc.startsWith('blob:') || video.crossOrigin !== null;
+    },
+
+    // An AudioContext created before any user gesture stays suspended and would silence the video
+    getContext() {
+      if (!navigator.userActivation?.hasBeenActive) return null;
+      if (!this.context) {
+        this.context = new AudioContext();
+      }
+      if (this.context.state === 'suspended') {
+        this.context.resume();
+      }
+      return this.context;
+    },
+
+    ensureGraph(video) {
+      if (video._igEnhancerAudio) return video._igEnhancerAudio;
+      if (!this.canRoute(video)) return null;
+
+      const ctx = this.getContext();
+      if (!ctx) return null;
+
+      // An element can only be captured once, so the source outlives re-enhancement. One released
+      // after removal can't be captured again
+      let source = video._igEnhancerAudioSource;
+      try {
+        source ??= ctx.createMediaElementSource(video);
+      } catch (e) {
+        debug('Could not route video through Web Audio:', e);
+        return null;
+      }
+      video._igEnhancerAudioSource = source;
+      source.disconnect();
+
+      const analyser = ctx.createAnalyser();
+      analyser.fftSize = 2048;
+      const normalizeGain = ctx.createGain();
+      const gain = ctx.createGain();
+      const compressor = ctx.createDynamicsCompressor();
+
+      source.connect(analyser);
+      source.connect(normalizeGain);
+      normalizeGain.connect(gain);
+      gain.connect(compressor);
+      compressor.connect(ctx.destination);
+
+      const graph = {
+        analyser,
+        normalizeGain,
+        gain,
+        compressor,
+        samples: new Float32Array(analyser.fftSize),
+        averageDb: null,
+        measureTimer: null,
+      };
+      video._igEnhancerAudio = graph;
+      this.applyNormalize(video);
+      debug('Routed video through Web Audio');
+      return graph;
+    },
+
+    apply(video, level) {
+      const needsGraph = level > 1 || Preferences.normalize;
+      const graph = needsGraph ? this.ensureGraph(video) : video._igEnhancerAudio;
+
+      // Without a graph we can't go louder than the element itself
+      const effective = graph ? level : Math.min(level, 1);
+      video.volume = Math.min(effective, 1);
+      if (graph) {
+        graph.gain.gain.value = Math.max(effective, 1);
+      }
+    },
+
+    applyNormalize(video) {
+      const graph = video._igEnhancerAudio;
+      if (!graph) return;
+
+      const { compressor, normalizeGain } = graph;
+      if (Preferences.normalize) {
+        compressor.threshold.value = -24;
+        compressor.knee.value = 12;
+        compressor.ratio.value = 4;
+        this.startMeasuring(video);
+      } else {
+        // Neutral settings make the compressor transparent
+        compressor.threshold.value = 0;
+        compressor.knee.value = 0;
+        compressor.ratio.value = 1;
+        this.stopMeasuring(graph);
+        normalizeGain.gain.value = 1;
+      }
+    },
+
+    startMeasuring(video) {
+      const graph = video._igEnhancerAudio;
+      if (graph.measureTimer) return;
+      graph.measureTimer = setInterval(() => this.measure(video, graph), this.MEASURE_INTERVAL_MS);
+    },
+
+    stopMeasuring(graph) {
+      clearInterval(graph.measureTimer);
+      graph.measureTimer = null;
+    },
+
+    // Follows the RMS level and steers the normalize gain towards the target loudness
+    measure(video, graph) {
+      if (video.paused || video.muted) return;
+
+      graph.analyser.getFloatTimeDomainData(graph.samples);
+      let sum = 0;
+      for (const sample of graph.samples) sum += sample * sample;
+      const db = 10 * Math.log10(sum / graph.samples.length || 1e-10);
+      if (db < this.NORMALIZE_SILENCE_DB) return;
+
+      graph.averageDb = graph.averageDb === null
+        ? db
+        : graph.averageDb + (db - graph.averageDb) * this.NORMALIZE_SMOOTHING;
+
+      const target = Math.min(this.NORMALIZE_MAX_GAIN, Math.max(this.NORMALIZE_MIN_GAIN,
+        10 ** ((this.NORMALIZE_TARGET_DB - graph.averageDb) / 20)));
+      graph.normalizeGain.gain.setTargetAtTime(target, this.context.currentTime, 0.5);
+    },
+
+    // The source or a user gesture may only be available once playback starts
+    attach(video, overlay) {
+      const { signal } = overlay._abortController;
+      video.addEventListener('play', () => {
+        if (!video._igEnhancerAudio) this.apply(video, getVolumeLevel(video));
+      }, { signal });
+    },
+
+    setNormalize(enabled) {
+      Preferences.normalize = enabled;
+      this.refreshNormalize();
+    },
+
+    // Applies Preferences.normalize to every video
+    refreshNormalize() {
+      const enabled = Preferences.normalize;
+      Lifecycle.videos.forEach(video => {
+        if (enabled) {
+          this.ensureGraph(video);
+        }
+        this.applyNormalize(video);
+        setVolumeLevel(video, getVolumeLevel(video));
+      });
+    },
+
+    // Called from the lifecycle teardown. A live element (recycled, or the tab turned off) keeps
+    // playing audio without our graph; a removed one is cut loose so the context doesn't hold on to it
+    release(video) {
+      const graph = video._igEnhancerAudio;
+      if (!graph) return;
+
+      this.stopMeasuring(graph);
+      const source = video._igEnhancerAudioSource;
+      source.disconnect();
+      graph.normalizeGain.disconnect();
+      graph.gain.disconnect();
+      graph.compressor.disconnect();
+      if (video.isConnected) {
+        source.connect(this.context.destination);
+      } else {
+        video._igEnhancerAudioSource = null;
+      }
+
+      video.volume = Math.min(getVolumeLevel(video), 1);
+      video._igEnhancerAudio = null;
+    }
+  };
+
+  function getVolumeLevel(video) {
+    return video._igEnhancerLevel ?? video.volume;
+  }
+
+  // Sets the volume on a 0-3 scale, going through the audio graph above 100%
+  function setVolumeLevel(video, level) {
+    video._igEnhancerLevel = level;
+    AudioBoost.apply(video, level);
+    video.dispatchEvent(new Event(VOLUME_LEVEL_EVENT));
+  }
+
+  // ============================================================
+  // CREATOR RULES - Per-account speed, volume and mute state
+  // ============================================================
+
+  let creatorRules = {};
+
+  function setPlaybackSpeed(video, rate) {
+    // Loading a new source resets playbackRate to defaultPlaybackRate
+    video.defaultPlaybackRate = rate;
+    video.playbackRate = rate;
+  }
+
+  // Global defaults and the tab's own volume/mute choices
+  function applyPlaybackDefaults(video) {
+    setVolumeLevel(video, Preferences.volume);
+    if (!Preferences.muted) {
+      // User previously unmuted, so unmute this video too
+      video.muted = false;
+    }
+    if (CONFIG.DEFAULT_SPEED !== 1 || video.playbackRate !== 1) {
+      setPlaybackSpeed(video, CONFIG.DEFAULT_SPEED);
+    }
+  }
+
+  function applyCreatorRule(video, overlay) {
+    const creator = getCreator(video);
+    video._igEnhancerCreator = creator;
+
+    const button = overlay.querySelector('.ig-enhancer-creator-btn');
+    const rule = creator ? creatorRules[creator] : null;
+    overlay.classList.toggle('has-creator', Boolean(creator));
+    overlay.classList.toggle('has-creator-rule', Boolean(rule));
+    button.title = rule
+      ? t('savedForCreator', creator)
+      : creator ? t('saveForCreatorNamed', creator) : '';
+
+    if (!rule) return;
+    debug('Applying rule for creator', creator, ':', rule);
+    setPlaybackSpeed(video, rule.speed);
+    setVolumeLevel(video, rule.volume);
+    video.muted = rule.muted;
+  }
+
+  async function saveCreatorRule(video) {
+    // The header may have rendered after the video was enhanced
+    const creator = video._igEnhancerCreator || getCreator(video);
+    if (!creator) return;
+
+    video._igEnhancerCreator = creator;
+
+    // storage.onChanged then applies the rule to all of the creator's videos, in every tab
+    await CreatorRules.set(creator, {
+      speed: video.playbackRate,
+      volume: getVolumeLevel(video),
+      muted: video.muted,
+    });
+    debug('Saved rule for creator', creator);
+  }
+
+  // Mute and volume changes from other tabs follow the same precedence as applyPlaybackDefaults
+  function handlePreferencesChanged(changed) {
+    if (changed.includes('normalize')) {
+      AudioBoost.refreshNormalize();
+    }
+
+    Lifecycle.videos.forEach(video => {
+      if (creatorRules[video._igEnhancerCreator]) return;
+      if (changed.includes('volume')) setVolumeLevel(video, Preferences.volume);
+      if (changed.includes('muted')) video.muted = Preferences.muted;
+    });
+  }
+
+  // Rules edited elsewhere (options page, other tabs) apply to that creator's live videos
+  function handleCreatorRulesChanged(rules) {
+    const previous = creatorRules;
+    creatorRules = rules;
+
+    Lifecycle.videos.forEach(video => {
+      const creator = video._igEnhancerCreator;
+      if (!creator || JSON.stringify(previous[creator]) === JSON.stringify(rules[creator])) return;
+
+      const overlay = getWrapper(video)?.querySelector('.ig-enhancer-controls');
+      if (!overlay) return;
+      if (!rules[creator]) applyPlaybackDefaults(video);
+      applyCreatorRule(video, overlay);
+    });
+  }
+
+  // ============================================================
+  // PROGRESS PREVIEW - Hover timestamp and frame thumbnail on the progress bar
+  // ============================================================
+
+  const PREVIEW_WIDTH = 160;
+
+  function attachProgressPreview(video, container, signal) {
+    const preview = container.querySelector('.ig-enhancer-preview');
+    const canvas = container.querySelector('.ig-enhancer-preview-frame');
+    const timeEl = container.querySelector('.ig-enhancer-preview-time');
+    const ctx = canvas.getContext('2d');
+
+    // Hidden second video that seeks independently so the real one keeps playing
+    let previewVideo = null;
+    let isSeeking = false;
+    let pendingTime = null;
+
+    // MediaSource blob URLs can only be attached to one element, those get time-only previews
+    function canPreviewFrames() {
+      const src = video.currentSrc;
+      return src && !src.startsWith('blob:');
+    }
+
+    // A seek that errors out or loses its source never fires 'seeked', which would block every later one
+    function resetSeeking() {
+      isSeeking = false;
+      pendingTime = null;
+    }
+
+    function getPreviewVideo() {
+      if (previewVideo && previewVideo.src === video.currentSrc) return previewVideo;
+      if (previewVideo) releasePreviewVideo();
+
+      previewVideo = document.createElement('video');
+      previewVideo.muted = true;
+      previewVideo.preload = 'auto';
+      previewVideo.crossOrigin = video.crossOrigin;
+      previewVideo.src = video.currentSrc;
+      previewVideo.addEventListener('seeked', drawFrame);
+      previewVideo.addEventListener('error', resetSeeking);
+      previewVideo.addEventListener('emptied', resetSeeking);
+      resetSeeking();
+      return previewVideo;
+    }
+
+    function releasePreviewVideo() {
+      previewVideo.removeEventListener('seeked', drawFrame);
+      previewVideo.removeEventListener('error', resetSeeking);
+      previewVideo.removeEventListener('emptied', resetSeeking);
+      previewVideo.removeAttribute('src');
+      previewVideo.load();
+    }
+
+    function drawFrame() {
+      isSeeking = false;
+      const { videoWidth, videoHeight } = previewVideo;
+      if (videoWidth && videoHeight) {
+        canvas.width = PREVIEW_WIDTH;
+        canvas.height = Math.round(PREVIEW_WIDTH * (videoHeight / videoWidth));
+        try {
+          ctx.drawImage(previewVideo, 0, 0, canvas.width, canvas.height);
+          preview.classList.add('has-frame');
+        } catch (e) {
+          debug('Could not draw preview frame:', e);
+        }
+      }
+
+      // Only the latest hover position matters, intermediate seeks are dropped
+      if (pendingTime !== null) {
+        const time = pendingTime;
+        pendingTime = null;
+        seekPreview(time);
+      }
+    }
+
+    function seekPreview(time) {
+      const target = getPreviewVideo();
+      if (isSeeking) {
+        pendingTime = time;
+        return;
+      }
+      isSeeking = true;
+      target.currentTime = time;
+    }
+
+    function showPreview(e) {
+      if (!video.duration || !isFinite(video.duration)) return;
+
+      const rect = container.getBoundingClientRect();
+      const ratio = Math.max(0, Math.min(1, (e.clientX - rect.left) / rect.width));
+      const time = ratio * video.duration;
+
+      timeEl.textContent = formatTime(time);
+      preview.style.left = `${ratio * 100}%`;
+      preview.classList.add('is-visible');
+
+      if (canPreviewFrames()) {
+        seekPreview(time);
+      }
+    }
+
+    function hidePreview() {
+      preview.classList.remove('is-visible', 'has-frame');
+      resetSeeking();
+    }
+
+    container.addEventListener('mousemove', showPreview, { signal });
+    container.addEventListener('mouseleave', hidePreview, { signal });
+
+    signal.addEventListener('abort', () => {
+      if (previewVideo) {
+        releasePreviewVideo();
+        previewVideo = null;
+      }
+    });
+  }
+
+  // ============================================================
+  // A-B LOOP - Repeats a marked segment until cleared
+  // ============================================================
+
+  const MIN_LOOP_SECONDS = 0.5;
+
+  function attachLoopControls(video, overlay, postId) {
+    const { signal } = overlay._abortController;
+    const region = overlay.querySelector('.ig-enhancer-progress-loop');
+    let loop = { a: null, b: null };
+
+    function isActive() {
+      return loop.a !== null && loop.b !== null;
+    }
+
+    function render() {
+      setOverlayToggle(overlay, 'has-loop-a', loop.a !== null);
+      setOverlayToggle(overlay, 'has-loop-b', loop.b !== null);
+      overlay.classList.toggle('has-loop', isActive());
+
+      if (loop.a === null || !video.duration) {
+        region.style.display = 'none';
+        return;
+      }
+
+      const start = (loop.a / video.duration) * 100;
+      const end = loop.b !== null ? (loop.b / video.duration) * 100 : start;
+      region.style.display = 'block';
+      region.style.left = `${start}%`;
+      region.style.width = `${end - start}%`;
+    }
+
+    function update(next) {
+      loop = next;
+      if (loop.a === null && loop.b === null) {
+        LoopStore.clear(postId);
+      } else {
+        LoopStore.save(postId, loop);
+      }
+      render();
+    }
+
+    const controller = {
+      isActive,
+
+      setStart() {
+        const a = video.currentTime;
+        // A later than B starts a new loop
+        const b = loop.b !== null && loop.b - a >= MIN_LOOP_SECONDS ? loop.b : null;
+        update({ a, b });
+      },
+
+      setEnd() {
+        const a = loop.a ?? 0;
+        const b = video.currentTime;
+        if (b - a < MIN_LOOP_SECONDS) return;
+        update({ a, b });
+      },
+
+      clear() {
+        update({ a: null, b: null });
+      }
+    };
+
+    function enforceLoop() {
+      if (isActive() && video.currentTime >= loop.b) {
+        video.currentTime = loop.a;
+      }
+    }
+
+    video.addEventListener('timeupdate', enforceLoop, { signal });
+    video.addEventListener('ended', () => {
+      if (!isActive()) return;
+      video.currentTime = loop.a;
+      video.play().catch(e => debug('Could not restart loop:', e));
+    }, { signal });
+    video.addEventListener('durationchange', render, { signal });
+
+    const bindButton = (selector, action) => {
+      overlay.querySelector(selector).addEventListener('click', (e) => {
+        e.preventDefault();
+        action();
+      }, { signal });
+    };
+    bindButton('.ig-enhancer-loop-a', controller.setStart);
+    bindButton('.ig-enhancer-loop-b', controller.setEnd);
+    bindButton('.ig-enhancer-loop-clear', controller.clear);
+
+    LoopStore.get(postId).then(saved => {
+      if (saved && !signal.aborted) {
+        loop = saved;
+        render();
+      }
+    });
+
+    render();
+    return controller;
+  }
+
+  // ============================================================
+  // BOOKMARKS - Saved moments, shown as ticks on the progress bar
+  // ============================================================
+
+  const DEEP_LINK_PATTERN = /^#t=(\d+(?:\.\d+)?)$/;
+
+  let bookmarks = [];
+
+  // Bookmark links (/p/<id>/#t=<seconds>) hand their time to the same restore path as comment
+  // navigation, so enhanceVideo seeks the post's video once it shows up
+  function seedDeepLinkTime() {
+    const timeMatch = window.location.hash.match(DEEP_LINK_PATTERN);
+    const postMatch = window.location.pathname.match(POST_PATH_PATTERN);
+    if (!timeMatch || !postMatch) return;
+
+    TimestampStore.seed(postMatch[2], parseFloat(timeMatch[1]));
+    debug('Seeking post', postMatch[2], 'to linked time', timeMatch[1]);
+  }
+
+  function showBookmarkNoteForm(overlay, bookmark) {
+    overlay.querySelector('.ig-enhancer-bookmark-form')?.remove();
+
+    const form = document.createElement('form');
+    form.className = 'ig-enhancer-bookmark-form';
+    form.innerHTML = `
+      <input type="text" class="ig-enhancer-bookmark-note" maxlength="500"
+        data-i18n-placeholder="bookmarkNote" data-i18n-label="bookmarkNote">
+      <button type="submit" data-i18n="saveNote"></button>
+    `;
+    localize(form);
+    const input = form.querySelector('input');
+
+    form.addEventListener('submit', (e) => {
+      e.preventDefault();
+      const note = input.value.trim();
+      if (note) Bookmarks.update(bookmark.id, { note });
+      form.remove();
+    });
+    input.addEventListener('keydown', (e) => {
+      if (e.key === 'Escape') form.remove();
+    });
+
+    overlay.prepend(form);
+    input.focus();
+  }
+
+  async function addBookmark(video) {
+    const postId = video._igEnhancerPostId ?? getPostId(video);
+    const overlay = getWrapper(video)?.querySelector('.ig-enhancer-controls');
+    if (!postId || !overlay) {
+      debug('Cannot bookmark a video without a post ID');
+      return;
+    }
+
+    const time = video.currentTime;
+    const bookmark = await Bookmarks.add({
+      postId,
+      creator: video._igEnhancerCreator || getCreator(video),
+      time,
+    });
+    debug('Bookmarked', postId, 'at', time);
+    announce(t('announceBookmark', formatSpokenTime(time)));
+    if (overlay.isConnected) showBookmarkNoteForm(overlay, bookmark);
+  }
+
+  function attachBookmarks(video, overlay, postId) {
+    const { signal } = overlay._abortController;
+    const layer = overlay.querySelector('.ig-enhancer-progress-bookmarks');
+
+    function render() {
+      const { duration } = video;
+      if (!postId || !duration || !isFinite(duration)) {
+        layer.replaceChildren();
+        return;
+      }
+
+      layer.replaceChildren(...bookmarks
+        .filter(bookmark => bookmark.postId === postId && bookmark.time <= duration)
+        .map(bookmark => {
+          const tick = document.createElement('div');
+          tick.className = 'ig-enhancer-bookmark-tick';
+          tick.style.left = `${(bookmark.time / duration) * 100}%`;
+          return tick;
+        }));
+    }
+
+    overlay.querySelector('.ig-enhancer-bookmark-btn').addEventListener('click', (e) => {
+      e.preventDefault();
+      e.stopPropagation();
+      addBookmark(video);
+    }, { signal });
+    video.addEventListener('durationchange', render, { signal });
+
+    render();
+    return { render };
+  }
+
+  function handleBookmarksChanged(updated) {
+    bookmarks = updated;
+    Lifecycle.videos.forEach(video => video._igEnhancerBookmarks?.render());
+  }
+
+  // ============================================================
+  // SUBTITLES - Local .srt/.vtt files drawn in a caption layer over the video
+  // ============================================================
+
+  const SUBTITLE_TIME_PATTERN = /(?:(\d+):)?(\d{1,2}):(\d{2})[.,](\d{1,3})/;
+  const SUBTITLE_DEFAULTS = { offset: 0, size: 1, position: 12 };
+  const SUBTITLE_OFFSET_STEP = 0.5;     // Seconds per earlier/later press
+  const SUBTITLE_SIZE_STEP = 0.1;
+  const SUBTITLE_SIZE_RANGE = [0.5, 2.5];
+  const SUBTITLE_POSITION_STEP = 5;     // Percent of the video height
+  const SUBTITLE_POSITION_RANGE = [0, 85];
+
+  function parseSubtitleTime(text) {
+    const match = text.match(SUBTITLE_TIME_PATTERN);
+    if (!match) return null;
+    const [, hours = '0', minutes, seconds, fraction] = match;
+    return Number(hours) * 3600 + Number(minutes) * 60 + Number(seconds) + Number(fraction.padEnd(3, '0')) / 1000;
+  }
+
+  // SRT and WebVTT both separate cues by blank lines with a "start --> end" timing line. Blocks
+  // without one (the WEBVTT header, NOTE and STYLE blocks, SRT counters) are skipped
+  function parseSubtitles(text) {
+    const cues = [];
+    const blocks = text.replace(/^\uFEFF/, '').replace(/\r\n?/g, '\n').split(/\n{2,}/);
+
+    for (const block of blocks) {
+      const lines = block.split('\n');
+      const timingIndex = lines.findIndex(line => line.includes('-->'));
+      if (timingIndex === -1) continue;
+
+      const [startText, endText] = lines[timingIndex].split('-->');
+      const start = parseSubtitleTime(startText);
+      const end = parseSubtitleTime(endText);
+      const body = lines.slice(timingIndex + 1).join('\n').trim();
+      if (start === null || end === null || end <= start || !body) continue;
+
+      cues.push({ start, end, text: body });
+    }
+    return cues;
+  }
+
+  function clamp(value, [min, max]) {
+    return Math.min(max, Math.max(min, value));
+  }
+
+  function attachSubtitles(video, overlay, postId) {
+    const { signal } = overlay._abortController;
+    const wrapper = overlay.parentElement;
+    const button = overlay.querySelector('.ig-enhancer-subtitles-btn');
+    const fileInput = overlay.querySelector('.ig-enhancer-subtitles-file');
+    let subtitles = null; // { name, cues, offset, size, position }
+    let textTrack = null;
+
+    const layer = document.createElement('div');
+    layer.className = 'ig-enhancer-captions';
+    wrapper.insertBefore(layer, overlay);
+
+    const panel = document.createElement('div');
+    panel.className = 'ig-enhancer-subtitles-panel';
+    panel.hidden = true;
+    panel.innerHTML = `
+      <button data-action="smaller" data-i18n-label="subtitlesSmaller">A&minus;</button>
+      <button data-action="larger" data-i18n-label="subtitlesLarger">A+</button>
+      <button data-action="up" data-i18n-label="subtitlesUp">&uarr;</button>
+      <button data-action="down" data-i18n-label="subtitlesDown">&darr;</button>
+      <button data-action="earlier" data-i18n-label="subtitlesEarlier">&minus;${SUBTITLE_OFFSET_STEP}s</button>
+      <span class="ig-enhancer-subtitles-offset"></span>
+      <button data-action="later" data-i18n-label="subtitlesLater">+${SUBTITLE_OFFSET_STEP}s</button>
+      <button data-action="load" data-i18n="loadSubtitles"></button>
+      <button data-action="remove" data-i18n="removeSubtitles"></button>
+    `;
+    localize(panel);
+    const offsetEl = panel.querySelector('.ig-enhancer-subtitles-offset');
+    overlay.prepend(panel);
+
+    // Cue text goes through VTTCue, so SRT/VTT tags like <i> render and anything else stays text
+    function renderCues() {
+      const cues = textTrack?.mode === 'hidden' ? [...(textTrack.activeCues || [])] : [];
+      layer.replaceChildren(...cues.map(cue => {
+        const line = document.createElement('span');
+        line.className = 'ig-enhancer-caption';
+        line.append(cue.getCueAsHTML());
+        return line;
+      }));
+      if (!subtitles) return;
+
+      // Scales with the video, so feed, modal and fullscreen all get readable captions
+      layer.style.bottom = `${subtitles.position}%`;
+      layer.style.fontSize = `${Math.round(Math.max(12, wrapper.clientWidth * 0.045) * subtitles.size)}px`;
+    }
+
+    // A hidden track still fires cuechange at the right times, the layer does the drawing.
+    // Tracks can't be removed from a <video>, so Instagram's reused elements keep and refill theirs
+    function buildTrack() {
+      if (!textTrack) {
+        textTrack = video._igEnhancerTextTrack ??= video.addTextTrack('subtitles');
+        textTrack.addEventListener('cuechange', renderCues, { signal });
+      }
+
+      textTrack.mode = 'hidden';
+      [...textTrack.cues].forEach(cue => textTrack.removeCue(cue));
+      if (!subtitles) {
+        textTrack.mode = 'disabled';
+        renderCues();
+        return;
+      }
+
+      for (const cue of subtitles.cues) {
+        const start = Math.max(0, cue.start + subtitles.offset);
+        const end = cue.end + subtitles.offset;
+        if (end > start) textTrack.addCue(new VTTCue(start, end, cue.text));
+      }
+      renderCues();
+    }
+
+    function render() {
+      overlay.classList.toggle('has-subtitles', Boolean(subtitles));
+      button.setAttribute('aria-expanded', String(!panel.hidden));
+      if (subtitles) {
+        const { offset } = subtitles;
+        offsetEl.textContent = `${offset > 0 ? '+' : offset < 0 ? '−' : ''}${Math.abs(offset).toFixed(1)}s`;
+      }
+    }
+
+    function update(next, { rebuild = true } = {}) {
+      subtitles = next;
+      if (subtitles) {
+        SubtitleStore.save(postId, subtitles);
+      } else {
+        SubtitleStore.clear(postId);
+        panel.hidden = true;
+      }
+      if (rebuild) {
+        buildTrack();
+      } else {
+        renderCues();
+      }
+      render();
+    }
+
+    const PANEL_ACTIONS = {
+      smaller: () => update({ ...subtitles, size: clamp(subtitles.size - SUBTITLE_SIZE_STEP, SUBTITLE_SIZE_RANGE) }, { rebuild: false }),
+      larger: () => update({ ...subtitles, size: clamp(subtitles.size + SUBTITLE_SIZE_STEP, SUBTITLE_SIZE_RANGE) }, { rebuild: false }),
+      up: () => update({ ...subtitles, position: clamp(subtitles.position + SUBTITLE_POSITION_STEP, SUBTITLE_POSITION_RANGE) }, { rebuild: false }),
+      down: () => update({ ...subtitles, position: clamp(subtitles.position - SUBTITLE_POSITION_STEP, SUBTITLE_POSITION_RANGE) }, { rebuild: false }),
+      earlier: () => update({ ...subtitles, offset: subtitles.offset - SUBTITLE_OFFSET_STEP }),
+      later: () => update({ ...subtitles, offset: subtitles.offset + SUBTITLE_OFFSET_STEP }),
+      load: () => fileInput.click(),
+      remove: () => update(null),
+    };
+
+    panel.addEventListener('click', (e) => {
+      const action = e.target.closest('[data-action]')?.dataset.action;
+      if (!action) return;
+      e.preventDefault();
+      PANEL_ACTIONS[action]();
+    }, { signal });
+
+    // Without subtitles the button picks a file, afterwards it opens the settings
+    button.addEventListener('click', (e) => {
+      e.preventDefault();
+      e.stopPropagation();
+      if (subtitles) {
+        panel.hidden = !panel.hidden;
+        render();
+      } else {
+        fileInput.click();
+      }
+    }, { signal });
+
+    fileInput.addEventListener('change', async () => {
+      const file = fileInput.files[0];
+      fileInput.value = '';
+      if (!file) return;
+
+      const cues = parseSubtitles(await file.text());
+      if (cues.length === 0) {
+        announce(t('subtitlesEmpty'));
+        debug('No cues found in', file.name);
+        return;
+      }
+
+      // A replacement file keeps the size and position, its timing starts fresh
+      debug('Loaded', cues.length, 'subtitle cues from', file.name);
+      const { size, position } = subtitles ?? SUBTITLE_DEFAULTS;
+      update({ ...SUBTITLE_DEFAULTS, size, position, name: file.name, cues });
+    }, { signal });
+
+    signal.addEventListener('abort', () => {
+      if (textTrack) textTrack.mode = 'disabled';
+      layer.remove();
+    });
+
+    SubtitleStore.get(postId).then(saved => {
+      if (saved && !signal.aborted) {
+        debug('Reapplying subtitles for', postId);
+        subtitles = saved;
+        buildTrack();
+        render();
+      }
+    });
+
+    render();
+  }
+
+  // ============================================================
+  // RESUME PROMPT - Offers to continue from the watch history position
+  // ============================================================
+
+  const RESUME_PROMPT_MS = 8000;
+
+  function seekWhenReady(video, time) {
+    // Wait for video to be ready
+    if (video.readyState >= 1 && video.duration) {
+      debug('Seeking to saved time:', time);
+      video.currentTime = Math.min(time, video.duration - CONFIG.SEEK_END_BUFFER);
+    } else {
+      debug('Video not ready, waiting for loadedmetadata');
+      video.addEventListener('loadedmetadata', () => {
+        debug('Metadata loaded, seeking to:', time);
+        video.currentTime = Math.min(time, video.duration - CONFIG.SEEK_END_BUFFER);
+      }, { once: true });
+    }
+  }
+
+  function showResumePrompt(video, overlay, entry) {
+    const prompt = document.createElement('div');
+    prompt.className = 'ig-enhancer-resume';
+    prompt.innerHTML = `
+      <button class="ig-enhancer-resume-btn"></button>
+      <button class="ig-enhancer-restart-btn" data-i18n="startOver"></button>
+    `;
+    localize(prompt);
+    prompt.querySelector('.ig-enhancer-resume-btn').textContent = t('resumeFrom', formatTime(entry.position));
+
+    let timer = null;
+    const dismiss = () => {
+      clearTimeout(timer);
+      prompt.remove();
+    };
+    timer = setTimeout(dismiss, RESUME_PROMPT_MS);
+
+    prompt.querySelector('.ig-enhancer-resume-btn').addEventListener('click', (e) => {
+      e.preventDefault();
+      seekWhenReady(video, entry.position);
+      dismiss();
+    });
+
+    prompt.querySelector('.ig-enhancer-restart-btn').addEventListener('click', (e) => {
+      e.preventDefault();
+      WatchHistory.remove(entry.postId);
+      video.currentTime = 0;
+      dismiss();
+    });
+
+    overlay.prepend(prompt);
+  }
+
+  function trackWatchHistory(video, overlay) {
+    const { signal } = overlay._abortController;
+    let lastSave = 0;
+
+    const save = () => {
+      if (!CONFIG.RESUME_ENABLED) return;
+      lastSave = Date.now();
+      WatchHistory.save(getVideoPostId(video), video.currentTime, video.duration);
+    };
+
+    video.addEventListener('timeupdate', () => {
+      if (Date.now() - lastSave >= WatchHistory.SAVE_INTERVAL_MS) save();
+    }, { signal });
+    video.addEventListener('pause', save, { signal });
+    video.addEventListener('ended', () => {
+      if (CONFIG.RESUME_ENABLED) WatchHistory.remove(getVideoPostId(video));
+    }, { signal });
+  }
+
+  // ============================================================
+  // VIEW MODES - Picture-in-picture, fullscreen and theater mode
+  // ============================================================
+
+  const VIEW_RESTORE_WINDOW_MS = 5000; // How long a re-rendered post can take to show its new video
+
+  const ViewModes = {
+    theaterWrapper: null,
+    fullscreenWrapper: null,
+    // Set when Instagram removes a video that was in a view mode, so its replacement can take over
+    pendingRestore: null,
+  };
+
+  function getWrapper(video) {
+    return video.closest('.ig-enhancer-wrapper');
+  }
+
+  function setOverlayState(video, className, enabled) {
+    const overlay = getWrapper(video)?.querySelector('.ig-enhancer-controls');
+    if (overlay) setOverlayToggle(overlay, className, enabled);
+  }
+
+  function rememberForRestore(video, mode) {
+    ViewModes.pendingRestore = {
+      mode,
+      postId: getPostId(video) ?? video._igEnhancerPostId,
+      video,
+      wasPlaying: video._igEnhancerWasPlaying,
+      expires: Date.now() + VIEW_RESTORE_WINDOW_MS,
+    };
+    debug('Video left the page in', mode, 'mode, waiting for its replacement');
+
+    // Instagram may have rendered and we may have enhanced the replacement already
+    const postId = ViewModes.pendingRestore.postId;
+    const replacement = [...Lifecycle.videos].find(other =>
+      other !== video && other.isConnected && other._igEnhancerPostId === postId
+    );
+    if (replacement) restoreViewMode(replacement, postId);
+  }
+
+  function togglePictureInPicture(video) {
+    if (document.pictureInPictureElement === video) {
+      document.exitPictureInPicture().catch(e => debug('Could not exit picture-in-picture:', e));
+      return;
+    }
+    if (!document.pictureInPictureEnabled) return;
+
+    // Instagram sets disablePictureInPicture on its players
+    video.disablePictureInPicture = false;
+    video.requestPictureInPicture().catch(e => debug('Could not enter picture-in-picture:', e));
+  }
+
+  function toggleFullscreen(video) {
+    const wrapper = getWrapper(video);
+    if (!wrapper) return;
+
+    if (document.fullscreenElement === wrapper) {
+      document.exitFullscreen();
+      return;
+    }
+
+    // Fullscreen the wrapper rather than the video so our controls stay visible
+    if (ViewModes.theaterWrapper === wrapper) exitTheater();
+    wrapper.requestFullscreen().catch(e => {
+      debug('Could not enter fullscreen, using theater mode instead:', e);
+      enterTheater(video);
+    });
+  }
+
+  function handleTheaterKeydown(e) {
+    if (e.key !== 'Escape') return;
+    // Keep Instagram from closing the post modal underneath
+    e.preventDefault();
+    e.stopPropagation();
+    exitTheater();
+  }
+
+  function enterTheater(video) {
+    const wrapper = getWrapper(video);
+    if (!wrapper) return;
+    if (ViewModes.theaterWrapper) exitTheater();
+
+    ViewModes.theaterWrapper = wrapper;
+    wrapper.classList.add('ig-enhancer-theater');
+    document.documentElement.classList.add('ig-enhancer-theater-open');
+    setOverlayState(video, 'is-theater', true);
+    document.addEventListener('keydown', handleTheaterKeydown, true);
+  }
+
+  function exitTheater() {
+    const wrapper = ViewModes.theaterWrapper;
+    if (!wrapper) return;
+
+    ViewModes.theaterWrapper = null;
+    wrapper.classList.remove('ig-enhancer-theater');
+    const overlay = wrapper.querySelector('.ig-enhancer-controls');
+    if (overlay) setOverlayToggle(overlay, 'is-theater', false);
+    document.documentElement.classList.remove('ig-enhancer-theater-open');
+    document.removeEventListener('keydown', handleTheaterKeydown, true);
+  }
+
+  function toggleTheater(video) {
+    if (ViewModes.theaterWrapper === getWrapper(video)) {
+      exitTheater();
+    } else {
+      enterTheater(video);
+    }
+  }
+
+  function trackViewModes(video, overlay) {
+    const { signal } = overlay._abortController;
+
+    // Removing a video from the page pauses it, so only connected play state counts
+    video._igEnhancerWasPlaying = !video.paused;
+    const trackPlayState = () => {
+      if (video.isConnected) video._igEnhancerWasPlaying = !video.paused;
+    };
+    video.addEventListener('play', trackPlayState, { signal });
+    video.addEventListener('pause', trackPlayState, { signal });
+
+    video.addEventListener('enterpictureinpicture', () => {
+      setOverlayToggle(overlay, 'is-pip', true);
+    }, { signal });
+    video.addEventListener('leavepictureinpicture', () => {
+      setOverlayToggle(overlay, 'is-pip', false);
+      if (!video.isConnected) {
+        rememberForRestore(video, 'pip');
+        Lifecycle.teardown(video);
+      }
+    }, { signal });
+  }
+
+  function handleFullscreenChange() {
+    const previous = ViewModes.fullscreenWrapper;
+    const current = document.fullscreenElement?.classList.contains('ig-enhancer-wrapper')
+      ? document.fullscreenElement
+      : null;
+    ViewModes.fullscreenWrapper = current;
+
+    const previousOverlay = previous?.querySelector('.ig-enhancer-controls');
+    const currentOverlay = current?.querySelector('.ig-enhancer-controls');
+    if (previousOverlay) setOverlayToggle(previousOverlay, 'is-fullscreen', false);
+    if (currentOverlay) setOverlayToggle(currentOverlay, 'is-fullscreen', true);
+
+    // Fullscreen ends by itself when Instagram re-renders the post
+    const previousVideo = previous?.querySelector('video');
+    if (previousVideo && !previous.isConnected) {
+      rememberForRestore(previousVideo, 'fullscreen');
+    }
+  }
+
+  // Called from the lifecycle teardown, a removed video in a view mode hands over to its replacement
+  function releaseViewMode(video) {
+    const wrapper = getWrapper(video);
+    if (!wrapper) return;
+
+    if (ViewModes.theaterWrapper === wrapper) {
+      exitTheater();
+      if (!video.isConnected) rememberForRestore(video, 'theater');
+    }
+
+    if (ViewModes.fullscreenWrapper === wrapper) {
+      ViewModes.fullscreenWrapper = null;
+      if (!video.isConnected) rememberForRestore(video, 'fullscreen');
+    }
+  }
+
+  // Hands playback and the view mode over to the re-rendered copy of a post's video
+  function restoreViewMode(video, postId) {
+    const pending = ViewModes.pendingRestore;
+    if (!pending || !postId) return;
+    if (Date.now() > pending.expires) {
+      ViewModes.pendingRestore = null;
+      return;
+    }
+    if (pending.postId !== postId || pending.video === video) return;
+
+    ViewModes.pendingRestore = null;
+    debug('Restoring', pending.mode, 'mode for re-rendered post', postId);
+
+    seekWhenReady(video, pending.video.currentTime);
+    video.playbackRate = pending.video.playbackRate;
+    if (pending.wasPlaying) {
+      playByUser(video);
+    }
+
+    // Browsers only grant fullscreen and picture-in-picture to a click, so those get a button;
+    // fullscreen shows in theater mode until then
+    if (pending.mode === 'theater') {
+      enterTheater(video);
+    } else if (pending.mode === 'fullscreen') {
+      enterTheater(video);
+      showViewRestorePrompt(video, 'fullscreen');
+    } else {
+      showViewRestorePrompt(video, 'pip');
+    }
+  }
+
+  function showViewRestorePrompt(video, mode) {
+    const overlay = getWrapper(video)?.querySelector('.ig-enhancer-controls');
+    if (!overlay) return;
+
+    const prompt = document.createElement('div');
+    prompt.className = 'ig-enhancer-resume';
+    const button = document.createElement('button');
+    button.className = 'ig-enhancer-resume-btn';
+    button.textContent = t(mode === 'pip' ? 'restorePictureInPicture' : 'restoreFullscreen');
+    prompt.append(button);
+
+    const timer = setTimeout(() => prompt.remove(), RESUME_PROMPT_MS);
+    button.addEventListener('click', (e) => {
+      e.preventDefault();
+      clearTimeout(timer);
+      prompt.remove();
+      if (mode === 'pip') {
+        togglePictureInPicture(video);
+      } else {
+        toggleFullscreen(video);
+      }
+    });
+
+    overlay.prepend(prompt);
+  }
+
+  // ============================================================
+  // MINI PLAYER - Docks the playing video to a viewport corner while its post is out of view
+  // ============================================================
+
+  const AUTO_PAUSE_GRACE_MS = 1500;   // Instagram may pause a video just before we'd dock it
+  const MINI_PLAYER_MARGIN = 16;      // Distance from the viewport edges
+  const MINI_PLAYER_HEIGHT = 360;     // Initial video height, the width follows the aspect ratio
+  const MINI_PLAYER_MIN_WIDTH = 160;
+
+  const MiniPlayer = {
+    video: null,
+    postId: null,
+    frame: null,          // Fixed container the wrapper moves into
+    placeholder: null,    // Keeps the wrapper's spot and size in Instagram's layout
+    returnPath: null,     // Page the video was docked from
+    leftRoute: false,     // Docked for the post modal, so the placeholder is covered until it closes
+    scrollOnReturn: false,
+    width: null,          // Size and position picked by the user, reused for the next video
+    position: null,
+    observer: null,
+    abortController: null,
+
+    init() {
+      // The placeholder coming back into view returns the video to it
+      this.observer = new IntersectionObserver((entries) => {
+        for (const entry of entries) {
+          if (entry.target === this.placeholder && entry.intersectionRatio >= 0.75 && !this.leftRoute) {
+            debug('Post scrolled back into view, returning video from the mini-player');
+            this.restore();
+          }
+        }
+      }, { threshold: 0.75 });
+    },
+
+    // Playing, or paused by Instagram (not the user) a moment ago
+    isRecentlyPlaying(video) {
+      if (!video.paused) return true;
+      return !video._igEnhancerUserPaused && Date.now() - (video._igEnhancerPausedAt ?? 0) < AUTO_PAUSE_GRACE_MS;
+    },
+
+    // Only videos the user is watching: Instagram's muted feed autoplay would otherwise dock every
+    // video scrolled past
+    canDock(video) {
+      if (!CONFIG.MINI_PLAYER_ENABLED || this.video === video) return false;
+      if (!video._igEnhancerUserStarted && video.muted) return false;
+      // Reels are a full-height swipe list, every scroll would dock the previous one, and stories
+      // advance on their own
+      const context = getPageContext();
+      if (context === 'reels' || context === 'stories') return false;
+      const wrapper = getWrapper(video);
+      return Boolean(wrapper) && video.isConnected && video.duration > 0 &&
+        wrapper !== ViewModes.theaterWrapper && wrapper !== ViewModes.fullscreenWrapper &&
+        document.pictureInPictureElement !== video && this.isRecentlyPlaying(video);
+    },
+
+    // Called when a post modal opens, docks whichever video was playing in the page underneath
+    dockPlaying() {
+      if (this.video) return;
+      const video = [...Lifecycle.videos].find(candidate => this.canDock(candidate));
+      if (video) this.dock(video, { forModal: true });
+    },
+
+    dock(video, { forModal = false } = {}) {
+      if (this.video) this.close();
+
+      const wrapper = getWrapper(video);
+      const rect = wrapper.getBoundingClientRect();
+      const aspect = video.videoWidth && video.videoHeight ? video.videoWidth / video.videoHeight : 9 / 16;
+
+      this.placeholder = document.createElement('div');
+      this.placeholder.className = 'ig-enhancer-mini-placeholder';
+      this.placeholder.style.width = `${rect.width}px`;
+      this.placeholder.style.height = `${rect.height}px`;
+
+      const frame = document.createElement('div');
+      frame.className = 'ig-enhancer-mini-player';
+      frame.setAttribute('role', 'region');
+      frame.setAttribute('aria-label', t('miniPlayer'));
+      frame.innerHTML = `
+        <div class="ig-enhancer-mini-bar">
+          <div class="ig-enhancer-mini-resize" data-i18n-title="resizeMiniPlayer" aria-hidden="true"></div>
+          <button class="ig-enhancer-mini-back" data-i18n-label="backToPost" data-i18n-title="backToPost">
+            <svg viewBox="0 0 24 24" fill="currentColor">
+              <path d="M20 11H7.83l5.59-5.59L12 4l-8 8 8 8 1.41-1.41L7.83 13H20v-2z"/>
+            </svg>
+          </button>
+          <button class="ig-enhancer-mini-close" data-i18n-label="closeMiniPlayer" data-i18n-title="closeMiniPlayer">
+            <svg viewBox="0 0 24 24" fill="currentColor">
+              <path d="M19 6.41L17.59 5 12 10.59 6.41 5 5 6.41 10.59 12 5 17.59 6.41 19 12 13.41 17.59 19 19 17.59 13.41 12z"/>
+            </svg>
+          </button>
+        </div>
+      `;
+      localize(frame);
+
+      // Both moves happen in one task, so the video never counts as removed and keeps playing
+      wrapper.replaceWith(this.placeholder);
+      frame.append(wrapper);
+      document.body.append(frame);
+      wrapper.style.aspectRatio = String(aspect);
+
+      this.video = video;
+      this.postId = video._igEnhancerPostId ?? getPostId(this.placeholder);
+      this.frame = frame;
+      this.returnPath = window.location.pathname;
+      this.leftRoute = forModal;
+      this.scrollOnReturn = false;
+
+      const width = this.width ?? Math.max(MINI_PLAYER_MIN_WIDTH, Math.round(MINI_PLAYER_HEIGHT * aspect));
+      this.applyGeometry(width, this.position);
+
+      this.abortController = new AbortController();
+      const { signal } = this.abortController;
+      frame.querySelector('.ig-enhancer-mini-close').addEventListener('click', () => this.close(), { signal });
+      frame.querySelector('.ig-enhancer-mini-back').addEventListener('click', () => this.jumpBack(), { signal });
+      this.attachDrag(frame.querySelector('.ig-enhancer-mini-bar'), signal);
+      this.attachResize(frame.querySelector('.ig-enhancer-mini-resize'), signal);
+      window.addEventListener('resize', () => this.applyGeometry(this.width, this.position), { signal });
+      window.addEventListener('popstate', () => this.handleRouteChange(), { signal });
+
+      this.observer.observe(this.placeholder);
+      if (video.paused) video.play().catch(e => debug('Could not resume docked video:', e));
+      debug('Docked video in the mini-player, postId:', this.postId);
+    },
+
+    // Keeps the frame inside the viewport, a null position means the bottom right corner
+    applyGeometry(width, position) {
+      const frame = this.frame;
+      if (!frame) return;
+
+      const maxWidth = window.innerWidth - 2 * MINI_PLAYER_MARGIN;
+      frame.style.width = `${Math.min(Math.max(width, MINI_PLAYER_MIN_WIDTH), maxWidth)}px`;
+      if (!position) {
+        frame.style.inset = '';
+        return;
+      }
+
+      const { width: frameWidth, height: frameHeight } = frame.getBoundingClientRect();
+      const left = Math.min(Math.max(position.left, 0), window.innerWidth - frameWidth);
+      const top = Math.min(Math.max(position.top, 0), window.innerHeight - frameHeight);
+      frame.style.inset = `${top}px auto auto ${left}px`;
+    },
+
+    attachDrag(handle, signal) {
+      handle.addEventListener('pointerdown', (e) => {
+        if (e.button !== 0 || e.target.closest('button, .ig-enhancer-mini-resize')) return;
+        e.preventDefault();
+        const start = this.frame.getBoundingClientRect();
+        const offsetX = e.clientX - start.left;
+        const offsetY = e.clientY - start.top;
+        handle.setPointerCapture(e.pointerId);
+
+        const move = (event) => {
+          this.position = { left: event.clientX - offsetX, top: event.clientY - offsetY };
+          this.applyGeometry(this.width ?? start.width, this.position);
+        };
+        handle.addEventListener('pointermove', move, { signal });
+        handle.addEventListener('pointerup', () => {
+          handle.removeEventListener('pointermove', move);
+        }, { once: true, signal });
+      }, { signal });
+    },
+
+    // The handle sits top left, so the opposite corner stays where the frame is docked
+    attachResize(handle, signal) {
+      handle.addEventListener('pointerdown', (e) => {
+        if (e.button !== 0) return;
+        e.preventDefault();
+        e.stopPropagation();
+        const start = this.frame.getBoundingClientRect();
+        handle.setPointerCapture(e.pointerId);
+
+        const move = (event) => {
+          this.width = Math.max(MINI_PLAYER_MIN_WIDTH, start.right - event.clientX);
+          this.applyGeometry(this.width, null);
+          const { width, height } = this.frame.getBoundingClientRect();
+          this.position = { left: start.right - width, top: start.bottom - height };
+          this.applyGeometry(this.width, this.position);
+        };
+        handle.addEventListener('pointermove', move, { signal });
+        handle.addEventListener('pointerup', () => {
+          handle.removeEventListener('pointermove', move);
+        }, { once: true, signal });
+      }, { signal });
+    },
+
+    // Puts the wrapper back in its post, returns it or null when Instagram removed the post meanwhile
+    restore() {
+      const { video, frame, placeholder } = this;
+      if (!video) return null;
+
+      const wrapper = getWrapper(video);
+      this.abortController.abort();
+      this.observer.unobserve(placeholder);
+      this.video = null;
+      this.frame = null;
+      this.placeholder = null;
+
+      if (!wrapper) {
+        frame.remove();
+        placeholder.remove();
+        return null;
+      }
+
+      wrapper.style.aspectRatio = '';
+      if (placeholder.isConnected) {
+        placeholder.replaceWith(wrapper);
+        frame.remove();
+        return wrapper;
+      }
+
+      // Nowhere to return to, removing the frame gets the detached video swept up
+      frame.remove();
+      return null;
+    },
+
+    close() {
+      const video = this.video;
+      if (!video) return;
+      debug('Closing mini-player');
+      this.restore();
+      pauseByUser(video);
+    },
+
+    jumpBack() {
+      // Close the post modal first, the page underneath still holds the placeholder
+      if (window.location.pathname !== this.returnPath) {
+        this.scrollOnReturn = true;
+        history.back();
+        return;
+      }
+      this.restore()?.scrollIntoView({ behavior: scrollBehavior(), block: 'center' });
+    },
+
+    handleRouteChange() {
+      // Instagram swaps the modal out asynchronously after the history change
+      setTimeout(() => {
+        if (!this.video || window.location.pathname !== this.returnPath) return;
+        this.leftRoute = false;
+        if (this.scrollOnReturn) {
+          this.restore()?.scrollIntoView({ behavior: scrollBehavior(), block: 'center' });
+          return;
+        }
+        const rect = this.placeholder.getBoundingClientRect();
+        if (rect.top < window.innerHeight && rect.bottom > 0) this.restore();
+      }, 0);
+    },
+
+    // Instagram pauses videos it considers out of view, the docked one keeps playing unless the
+    // user paused it
+    handlePause(video) {
+      const wrapper = getWrapper(video);
+      const pointer = AutoplayPolicy.lastPointer;
+      const clickedVideo = Boolean(pointer && wrapper) && Date.now() - pointer.time < USER_GESTURE_WINDOW_MS &&
+        isPointInRect(pointer, wrapper.getBoundingClientRect());
+
+      video._igEnhancerPausedAt = Date.now();
+      video._igEnhancerUserPaused = video._igEnhancerUserPaused || video.ended || clickedVideo;
+
+      if (video === this.video && !video._igEnhancerUserPaused) {
+        debug('Resuming docked video paused by Instagram');
+        video.play().catch(e => debug('Could not resume docked video:', e));
+      }
+    },
+
+    // Opening the post modal renders a second video of the docked post, it stays paused unless
+    // the user starts it, which hands playback over to it. Returns true when the play was blocked
+    handleTwinPlay(video) {
+      if (!this.video || video === this.video || !this.postId || getPostId(video) !== this.postId) return false;
+
+      if (AutoplayPolicy.isUserStarted(video)) {
+        debug('Post video started by the user, handing over from the mini-player');
+        seekWhenReady(video, this.video.currentTime);
+        this.close();
+        return false;
+      }
+
+      debug('Pausing duplicate of the docked video');
+      video.pause();
+      return true;
+    },
+
+    attach(video, overlay) {
+      const { signal } = overlay._abortController;
+      video.addEventListener('play', () => {
+        video._igEnhancerUserPaused = false;
+      }, { signal });
+      video.addEventListener('pause', () => this.handlePause(video), { signal });
+    },
+
+    // Called from the lifecycle teardown so the unwrap finds the wrapper in its original spot
+    release(video) {
+      if (this.video === video) this.restore();
+    }
+  };
+
+  function isPointInRect(point, rect) {
+    return point.x >= rect.left && point.x <= rect.right && point.y >= rect.top && point.y <= rect.bottom;
+  }
+
+  // ============================================================
+  // AUTOPLAY POLICY - Blocks feed autoplay, pauses off-screen and concurrent videos
+  // ============================================================
+
+  const USER_GESTURE_WINDOW_MS = 1000; // A click this recent on a video counts as starting it
+
+  const AutoplayPolicy = {
+    observer: null,
+    lastPointer: null,
+
+    current() {
+      return CONFIG.AUTOPLAY_POLICIES[getPageContext()] || {};
+    },
+
+    init() {
+      this.observer = new IntersectionObserver((entries) => {
+        for (const entry of entries) {
+          const video = entry.target;
+          const wasVisible = video._igEnhancerVisibleRatio >= 0.5;
+          video._igEnhancerVisibleRatio = entry.intersectionRatio;
+
+          // Instagram pauses videos about half out of view, the mini-player takes over from there
+          if (wasVisible && entry.intersectionRatio < 0.5 && MiniPlayer.canDock(video)) {
+            MiniPlayer.dock(video);
+          } else if (!entry.isIntersecting && !video.paused && this.current().pauseOffscreen &&
+            document.pictureInPictureElement !== video && MiniPlayer.video !== video) {
+            // PiP and the mini-player keep videos watchable while their spot in the page is off-screen
+            debug('Pausing off-screen video');
+            video.pause();
+          }
+        }
+      }, { threshold: [0, 0.5] });
+
+      // Instagram starts videos from its own click handlers, so remember where the user clicked
+      document.addEventListener('pointerdown', (e) => {
+        this.lastPointer = { x: e.clientX, y: e.clientY, time: Date.now() };
+      }, true);
+    },
+
+    isUserStarted(video) {
+      if (video._igEnhancerUserStarted) return true;
+
+      const pointer = this.lastPointer;
+      if (!pointer || Date.now() - pointer.time > USER_GESTURE_WINDOW_MS) return false;
+
+      const rect = video.getBoundingClientRect();
+      return pointer.x >= rect.left && pointer.x <= rect.right &&
+        pointer.y >= rect.top && pointer.y <= rect.bottom;
+    },
+
+    handlePlay(video) {
+      if (MiniPlayer.handleTwinPlay(video)) return;
+      const policy = this.current();
+
+      // Once the user started a video, Instagram may keep restarting it (e.g. loops)
+      if (this.isUserStarted(video)) {
+        video._igEnhancerUserStarted = true;
+      } else if (policy.blockAutoplay) {
+        debug('Blocking autoplay');
+        video.pause();
+        return;
+      }
+
+      if (policy.singlePlayback) {
+        Lifecycle.videos.forEach(other => {
+          if (other === video || other.paused) return;
+          if (other === MiniPlayer.video) {
+            MiniPlayer.close();
+          } else {
+            debug('Pausing other playing video');
+            other.pause();
+          }
+        });
+      }
+    },
+
+    observe(video, overlay) {
+      const { signal } = overlay._abortController;
+      video.addEventListener('play', () => this.handlePlay(video), { signal });
+
+      this.observer.observe(video);
+      signal.addEventListener('abort', () => this.observer.unobserve(video));
+
+      // Autoplay may have started before we enhanced the video
+      if (!video.paused) this.handlePlay(video);
+    }
+  };
+
+  // Starts playback on the user's behalf, so the autoplay policy lets it through
+  function playByUser(video) {
+    video._igEnhancerUserStarted = true;
+    video._igEnhancerUserPaused = false;
+    return video.play().catch(e => debug('Could not start playback:', e));
+  }
+
+  // Pauses on the user's behalf, so the mini-player doesn't resume it and a story stays held
+  function pauseByUser(video) {
+    video._igEnhancerUserPaused = true;
+    video.pause();
+  }
+
+  // ============================================================
+  // END OF VIDEO - Loop, stop or advance to the next video per page context
+  // ============================================================
+
+  const EndBehavior = {
+    current() {
+      return CONFIG.ON_END[getPageContext()] || { action: 'loop', playCount: 1 };
+    },
+
+    // The enhanced video after this one in document order, Instagram's feed and reels are both vertical lists
+    findNextVideo(video) {
+      const videos = Lifecycle.list();
+      return videos.find(other => video.compareDocumentPosition(other) & Node.DOCUMENT_POSITION_FOLLOWING) || null;
+    },
+
+    findScrollParent(element) {
+      let parent = element.parentElement;
+      while (parent && parent !== document.body) {
+        const { overflowY } = getComputedStyle(parent);
+        if ((overflowY === 'auto' || overflowY === 'scroll') && parent.scrollHeight > parent.clientHeight) {
+          return parent;
+        }
+        parent = parent.parentElement;
+      }
+      return null;
+    },
+
+    advance(video) {
+      const next = this.findNextVideo(video);
+      if (next) {
+        debug('Advancing to next video');
+        next.scrollIntoView({ behavior: scrollBehavior(), block: 'center' });
+        playByUser(next);
+        return;
+      }
+
+      // The next reel may not be rendered yet, scrolling one page makes Instagram load it
+      debug('No next video rendered yet, scrolling one page');
+      const scroller = this.findScrollParent(video);
+      if (scroller) {
+        scroller.scrollBy({ top: scroller.clientHeight, behavior: scrollBehavior() });
+      } else {
+        window.scrollBy({ top: window.innerHeight, behavior: scrollBehavior() });
+      }
+    },
+
+    showCountdown(video, overlay) {
+      const countdown = document.createElement('div');
+      countdown.className = 'ig-enhancer-countdown';
+      countdown.innerHTML = `
+        <span class="ig-enhancer-countdown-text"></span>
+        <button class="ig-enhancer-countdown-cancel" data-i18n="cancel"></button>
+      `;
+      localize(countdown);
+      const textEl = countdown.querySelector('.ig-enhancer-countdown-text');
+
+      const { signal } = overlay._abortController;
+      let remaining = CONFIG.ADVANCE_COUNTDOWN_SECONDS;
+      let timer = null;
+      let dismissed = false;
+      const dismiss = () => {
+        dismissed = true;
+        clearInterval(timer);
+        countdown.remove();
+        video.removeEventListener('play', dismiss);
+      };
+      const tick = () => {
+        if (remaining <= 0) {
+          dismiss();
+          this.advance(video);
+          return;
+        }
+        textEl.textContent = t('nextVideoIn', String(remaining));
+        remaining--;
+      };
+
+      countdown.querySelector('.ig-enhancer-countdown-cancel').addEventListener('click', (e) => {
+        e.preventDefault();
+        dismiss();
+      });
+      // Replaying or seeking back into the video cancels the advance
+      video.addEventListener('play', dismiss, { signal });
+      // Tearing down the overlay must not leave the countdown advancing a removed video
+      signal.addEventListener('abort', dismiss);
+
+      overlay.prepend(countdown);
+      tick();
+      // A zero-second countdown advances on the first tick already
+      if (!dismissed) timer = setInterval(tick, 1000);
+    },
+
+    handleEnded(video, overlay) {
+      // An A-B loop takes precedence and restarts playback itself
+      if (video._igEnhancerLoop?.isActive()) return;
+
+      const { action, playCount } = this.current();
+      video._igEnhancerPlays = (video._igEnhancerPlays || 0) + 1;
+
+      if (action === 'loop' || (action === 'advance' && video._igEnhancerPlays < playCount)) {
+        video.currentTime = 0;
+        video.play().catch(e => debug('Could not replay video:', e));
+      } else if (action === 'advance') {
+        video._igEnhancerPlays = 0;
+        this.showCountdown(video, overlay);
+      }
+      // 'stop' stays paused on the last frame
+    },
+
+    attach(video, overlay) {
+      const { signal } = overlay._abortController;
+
+      // Instagram loops reels natively, which never fires 'ended', so we take over looping. Its own
+      // looping comes back when the overlay is torn down, e.g. the enhancer is turned off for the tab
+      let nativeLoop = video.loop;
+      const disableNativeLoop = () => {
+        if (video.loop) nativeLoop = true;
+        video.loop = false;
+      };
+      disableNativeLoop();
+      video.addEventListener('play', disableNativeLoop, { signal });
+      signal.addEventListener('abort', () => {
+        video.loop = nativeLoop;
+      });
+      video.addEventListener('ended', () => this.handleEnded(video, overlay), { signal });
+    }
+  };
+
+  // ============================================================
+  // STORIES - Trimmed overlay for story videos, Instagram keeps its tap areas and auto-advance
+  // ============================================================
+
+  // A user pause holds the story: Instagram restarts the video to carry on, which would also
+  // run out its timer and advance
+  function holdStoryWhilePaused(video, signal) {
+    video.addEventListener('play', () => {
+      if (!video._igEnhancerUserPaused) return;
+      debug('Holding paused story');
+      video.pause();
+    }, { signal });
+  }
+
+  // Going back to an item resumes it. Instagram restarts the item as it shows it, which can undo
+  // the seek, so the position is checked once playback is under way and the seek retried once
+  function resumeStory(video, storyId, signal) {
+    TimestampStore.get(storyId).then(savedTime => {
+      if (!(savedTime > 0) || signal.aborted) return;
+      debug('Resuming story item', storyId, 'at', savedTime);
+      seekWhenReady(video, savedTime);
+
+      let retried = false;
+      const verify = () => {
+        if (video.currentTime >= savedTime - 1) {
+          video.removeEventListener('timeupdate', verify);
+        } else if (!retried) {
+          retried = true;
+          debug('Story item restarted from the beginning, seeking again to', savedTime);
+          seekWhenReady(video, savedTime);
+        } else {
+          debug('Could not resume story item', storyId);
+          video.removeEventListener('timeupdate', verify);
+        }
+      };
+      video.addEventListener('timeupdate', verify, { signal });
+    });
+  }
+
+  function enhanceStoryVideo(video, container) {
+    const controls = createControlsOverlay(video);
+    controls.classList.add('is-story');
+    container.appendChild(controls);
+    const { signal } = controls._abortController;
+
+    applyPlaybackDefaults(video);
+    holdStoryWhilePaused(video, signal);
+
+    // The URL may still name the previous item, or already the next one, while the src is swapped.
+    // The id is taken once this item plays, and its position and duration are tracked as it does,
+    // since the teardown only runs after the next item's src is in
+    let storyId = null;
+    let lastTime = 0;
+    let lastDuration = NaN;
+    const identify = () => {
+      if (storyId) return;
+      const resolved = resolvePostId(video);
+      storyId = resolved.postId;
+      video._igEnhancerPostId = storyId;
+      video._igEnhancerPostIdStrategy = resolved.strategy;
+      debug('Playing story item:', storyId);
+      resumeStory(video, storyId, signal);
+    };
+    video.addEventListener('playing', identify, { signal });
+    if (!video.paused) identify();
+    video.addEventListener('timeupdate', () => {
+      if (!storyId || video.currentTime <= 0) return;
+      lastTime = video.currentTime;
+      lastDuration = video.duration;
+    }, { signal });
+
+    watchForRecycle(video, signal);
+    Lifecycle.register(video);
+
+    video._igEnhancerCleanup = () => {
+      // A finished item starts over next time
+      if (storyId && lastTime > 0) {
+        if (lastDuration - lastTime > CONFIG.SEEK_END_BUFFER) {
+          TimestampStore.save(storyId, lastTime);
+        } else {
+          TimestampStore.clear(storyId);
+        }
+      }
+      video._igEnhancerUserPaused = false;
+      controls._abortController.abort();
+      controls.remove();
+      unwrapVideo(video);
+    };
+  }
+
+  // ============================================================
+  // VIDEO ENHANCER - Detects and enhances videos
+  // ============================================================
+
+  // Instagram reuses <video> elements for other posts by swapping the src
+  function watchForRecycle(video, signal) {
+    video._igEnhancerSrc = video.getAttribute('src');
+    video.addEventListener('loadstart', () => {
+      if (video.getAttribute('src') !== video._igEnhancerSrc) {
+        Lifecycle.recycle(video);
+      }
+    }, { signal });
+  }
+
+  // Unwrap video from our wrapper, which may already be detached by Instagram
+  function unwrapVideo(video) {
+    const wrapper = video.parentElement;
+    if (wrapper?.classList.contains('ig-enhancer-wrapper')) {
+      wrapper.parentElement?.insertBefore(video, wrapper);
+      wrapper.remove();
+    }
+  }
+
+  function enhanceVideo(video) {
+    // Skip if already enhanced
+    if (video.dataset.igEnhanced) return;
+    video.dataset.igEnhanced = 'true';
+
+    const container = getVideoContainer(video);
+    if (!container) return;
+
+    if (getPageContext() === 'stories') {
+      enhanceStoryVideo(video, container);
+      return;
+    }
+
+    // Create and attach controls
+    const controls = createControlsOverlay(video);
+    container.appendChild(controls);
+    video._igEnhancerAppearance = attachControlsAppearance(video, controls);
+
+    // Apply saved preferences, a rule for the post's creator overrides them
+    applyPlaybackDefaults(video);
+    applyCreatorRule(video, controls);
+
+    // Check for saved timestamp, navigation restores win over the resume prompt
+    const { postId, strategy } = resolvePostId(video);
+    debug('Enhancing video, postId:', postId, 'via', strategy);
+    if (postId) {
+      TimestampStore.get(postId).then(async savedTime => {
+        debug('Retrieved saved time for', postId, ':', savedTime);
+        if (savedTime && savedTime > 0) {
+          seekWhenReady(video, savedTime);
+          return;
+        }
+
+        if (!CONFIG.RESUME_ENABLED) return;
+        const entry = await WatchHistory.get(postId);
+        if (entry && entry.position >= WatchHistory.MIN_RESUME_SECONDS && controls.isConnected) {
+          showResumePrompt(video, controls, entry);
+        }
+      });
+    }
+
+    trackWatchHistory(video, controls);
+    trackViewModes(video, controls);
+    AutoplayPolicy.observe(video, controls);
+    MiniPlayer.attach(video, controls);
+    EndBehavior.attach(video, controls);
+    AudioBoost.attach(video, controls);
+    video._igEnhancerLoop = attachLoopControls(video, controls, postId);
+    video._igEnhancerBookmarks = attachBookmarks(video, controls, postId);
+    attachSubtitles(video, controls, postId);
+    video._igEnhancerPostId = postId;
+    video._igEnhancerPostIdStrategy = strategy;
+    restoreViewMode(video, postId);
+
+    watchForRecycle(video, controls._abortController.signal);
+    Lifecycle.register(video);
+
+    // Store cleanup function
+    video._igEnhancerCleanup = () => {
+      MiniPlayer.release(video);
+      releaseViewMode(video);
+      AudioBoost.release(video);
+      // Abort all event listeners
+      if (controls._abortController) {
+        controls._abortController.abort();
+      }
+      // Remove controls
+      if (controls.parentNode) {
         controls.parentNode.removeChild(controls);
       }
-      // Unwrap video from our wrapper
-      const wrapper = video.parentElement;
-      if (wrapper?.classList.contains('ig-enhancer-wrapper')) {
-        wrapper.parentElement.insertBefore(video, wrapper);
-        wrapper.remove();
+      unwrapVideo(video);
+      video._igEnhancerLoop = null;
+      video._igEnhancerBookmarks = null;
+      video._igEnhancerAppearance = null;
+    };
+  }
+
+  // ============================================================
+  // IMAGE ENHANCER - Full-resolution lightbox with zoom and pan for post images
+  // ============================================================
+
+  const MIN_POST_IMAGE_WIDTH = 200;   // Smaller images are avatars
+  const MAX_ZOOM = 8;
+  const WHEEL_ZOOM_SPEED = 0.002;     // Zoom factor per wheel delta pixel, exponential
+  const SLIDE_WAIT_MS = 1000;         // Longest wait for Instagram's carousel to settle on a slide
+
+  // Grid thumbnails link to their post, clicking those keeps opening it
+  function isPostImage(img) {
+    if (img.closest('a, .ig-enhancer-lightbox')) return false;
+    if (!img.closest('article, [role="dialog"], main')) return false;
+    return img.getBoundingClientRect().width >= MIN_POST_IMAGE_WIDTH;
+  }
+
+  // Instagram lays an empty layer over its images, the zoom cursor goes on their common parent
+  function getImageFrame(img) {
+    return img.parentElement?.parentElement ?? null;
+  }
+
+  // Images still loading may lay out small, those get another look once they've loaded
+  function enhanceImage(img) {
+    if (img.dataset.igEnhanced) return;
+    if (!isPostImage(img)) {
+      if (!img.complete && !img._igEnhancerAwaitingLoad) {
+        img._igEnhancerAwaitingLoad = true;
+        img.addEventListener('load', () => {
+          img._igEnhancerAwaitingLoad = false;
+          if (Lifecycle.enabled) enhanceImage(img);
+        }, { once: true });
+      }
+      return;
+    }
+    img.dataset.igEnhanced = 'true';
+    const frame = getImageFrame(img);
+    if (frame) frame.dataset.igEnhancerZoomable = 'true';
+  }
+
+  function releaseImage(img) {
+    delete img.dataset.igEnhanced;
+    const frame = getImageFrame(img);
+    if (frame) delete frame.dataset.igEnhancerZoomable;
+  }
+
+  // The largest srcset candidate, else whatever the browser picked
+  function getFullResolutionUrl(img) {
+    let best = null;
+    let bestSize = 0;
+    for (const candidate of img.srcset.split(',')) {
+      const [url, descriptor = '1x'] = candidate.trim().split(/\s+/);
+      const size = parseFloat(descriptor);
+      if (url && size > bestSize) {
+        best = url;
+        bestSize = size;
+      }
+    }
+    return best || img.currentSrc || img.src;
+  }
+
+  // Carousel slides are <li>s of a list moved sideways, only the slides next to the current one are rendered
+  function getCarousel(media) {
+    const list = media.closest('ul');
+    return list?.closest('article, [role="dialog"], main') ? list : null;
+  }
+
+  function getCurrentSlideMedia(list) {
+    const view = list.parentElement.getBoundingClientRect();
+    const center = view.left + view.width / 2;
+    return [...list.querySelectorAll('li img[srcset], li video')].find(media => {
+      const rect = media.getBoundingClientRect();
+      return rect.left <= center && rect.right >= center;
+    }) ?? null;
+  }
+
+  // Instagram's previous/next buttons are the ones over the middle band of the slide, by side
+  function findCarouselButton(list, direction) {
+    const view = list.parentElement.getBoundingClientRect();
+    const middle = view.left + view.width / 2;
+    const scope = list.closest('article, [role="dialog"], main');
+    return [...scope.querySelectorAll('button')].find(button => {
+      const rect = button.getBoundingClientRect();
+      const point = { x: rect.left + rect.width / 2, y: rect.top + rect.height / 2 };
+      if (rect.width === 0 || !isPointInRect(point, view)) return false;
+      if (point.y < view.top + view.height / 3 || point.y > view.bottom - view.height / 3) return false;
+      return direction > 0 ? point.x > middle : point.x < middle;
+    }) ?? null;
+  }
+
+  // Resolves with the slide Instagram moved to, or null if it didn't move in time
+  function waitForSlide(list, previous) {
+    const started = performance.now();
+    return new Promise(resolve => {
+      const check = () => {
+        const media = getCurrentSlideMedia(list);
+        if (media && media !== previous) {
+          resolve(media);
+        } else if (performance.now() - started > SLIDE_WAIT_MS) {
+          resolve(null);
+        } else {
+          requestAnimationFrame(check);
+        }
+      };
+      requestAnimationFrame(check);
+    });
+  }
+
+  const Lightbox = {
+    element: null,
+    image: null,
+    source: null,         // Post image on display, follows the carousel when stepping
+    scale: 1,
+    offset: { x: 0, y: 0 },
+    stepping: false,
+    returnFocus: null,
+    abortController: null,
+
+    open(img) {
+      this.close();
+      this.abortController = new AbortController();
+      const { signal } = this.abortController;
+      this.returnFocus = document.activeElement;
+
+      const element = document.createElement('div');
+      element.className = 'ig-enhancer-lightbox';
+      element.setAttribute('role', 'dialog');
+      element.setAttribute('aria-modal', 'true');
+      element.setAttribute('aria-label', t('imageViewer'));
+      element.innerHTML = `
+        <img class="ig-enhancer-lightbox-image" alt="" draggable="false">
+        <button class="ig-enhancer-lightbox-prev" data-i18n-label="previousSlide" data-i18n-title="previousSlide" hidden>
+          <svg viewBox="0 0 24 24" fill="currentColor">
+            <path d="M15.41 7.41L14 6l-6 6 6 6 1.41-1.41L10.83 12z"/>
+          </svg>
+        </button>
+        <button class="ig-enhancer-lightbox-next" data-i18n-label="nextSlide" data-i18n-title="nextSlide" hidden>
+          <svg viewBox="0 0 24 24" fill="currentColor">
+            <path d="M10 6L8.59 7.41 13.17 12l-4.58 4.59L10 18l6-6z"/>
+          </svg>
+        </button>
+        <button class="ig-enhancer-lightbox-close" data-i18n-label="closeImageViewer" data-i18n-title="closeImageViewer">
+          <svg viewBox="0 0 24 24" fill="currentColor">
+            <path d="M19 6.41L17.59 5 12 10.59 6.41 5 5 6.41 10.59 12 5 17.59 6.41 19 12 13.41 17.59 19 19 17.59 13.41 12z"/>
+          </svg>
+        </button>
+      `;
+      localize(element);
+      this.element = element;
+      this.image = element.querySelector('.ig-enhancer-lightbox-image');
+
+      // Clicks on the backdrop close, clicks on the image don't
+      element.addEventListener('click', (e) => {
+        if (e.target === element) this.close();
+      }, { signal });
+      element.querySelector('.ig-enhancer-lightbox-close').addEventListener('click', () => this.close(), { signal });
+      element.querySelector('.ig-enhancer-lightbox-prev').addEventListener('click', () => this.step(-1), { signal });
+      element.querySelector('.ig-enhancer-lightbox-next').addEventListener('click', () => this.step(1), { signal });
+      element.addEventListener('wheel', (e) => {
+        e.preventDefault();
+        this.zoomAt(e.clientX, e.clientY, Math.exp(-e.deltaY * WHEEL_ZOOM_SPEED));
+      }, { passive: false, signal });
+      this.attachPan(signal);
+      document.addEventListener('keydown', (e) => this.handleKeydown(e), { capture: true, signal });
+
+      document.body.append(element);
+      this.show(img);
+      element.querySelector('.ig-enhancer-lightbox-close').focus();
+      debug('Opened image viewer');
+    },
+
+    show(img) {
+      this.source = img;
+      this.image.alt = img.alt;
+      this.image.src = getFullResolutionUrl(img);
+      this.resetZoom();
+
+      const list = getCarousel(img);
+      this.element.querySelector('.ig-enhancer-lightbox-prev').hidden = !list || !findCarouselButton(list, -1);
+      this.element.querySelector('.ig-enhancer-lightbox-next').hidden = !list || !findCarouselButton(list, 1);
+    },
+
+    // Steps Instagram's own carousel, so its lazy slides render and the post stays on the slide shown
+    async step(direction) {
+      const list = this.source && getCarousel(this.source);
+      const button = list && findCarouselButton(list, direction);
+      if (!button || this.stepping) return;
+
+      this.stepping = true;
+      const previous = this.source;
+      button.click();
+      const media = await waitForSlide(list, previous);
+      this.stepping = false;
+      if (!media || this.source !== previous) return;
+
+      // Video slides play in the post, with our controls and the arrow keys seeking them
+      if (media.tagName === 'VIDEO') {
+        this.close();
+        focusVideo(media);
+        return;
+      }
+      this.show(media);
+    },
+
+    resetZoom() {
+      this.scale = 1;
+      this.offset = { x: 0, y: 0 };
+      this.applyTransform();
+    },
+
+    applyTransform() {
+      this.image.style.transform =
+        `translate(-50%, -50%) translate(${this.offset.x}px, ${this.offset.y}px) scale(${this.scale})`;
+      this.element.classList.toggle('is-zoomed', this.scale > 1);
+    },
+
+    // Keeps the image point under the cursor where it is
+    zoomAt(x, y, factor) {
+      const scale = Math.min(MAX_ZOOM, Math.max(1, this.scale * factor));
+      if (scale === 1) {
+        this.resetZoom();
+        return;
+      }
+
+      const pointX = x - window.innerWidth / 2;
+      const pointY = y - window.innerHeight / 2;
+      const ratio = scale / this.scale;
+      this.offset = {
+        x: pointX - (pointX - this.offset.x) * ratio,
+        y: pointY - (pointY - this.offset.y) * ratio,
+      };
+      this.scale = scale;
+      this.applyTransform();
+    },
+
+    attachPan(signal) {
+      const image = this.image;
+      image.addEventListener('pointerdown', (e) => {
+        if (e.button !== 0 || this.scale === 1) return;
+        e.preventDefault();
+        const startX = e.clientX - this.offset.x;
+        const startY = e.clientY - this.offset.y;
+        image.setPointerCapture(e.pointerId);
+
+        const move = (event) => {
+          this.offset = { x: event.clientX - startX, y: event.clientY - startY };
+          this.applyTransform();
+        };
+        image.addEventListener('pointermove', move, { signal });
+        image.addEventListener('pointerup', () => {
+          image.removeEventListener('pointermove', move);
+        }, { once: true, signal });
+      }, { signal });
+    },
+
+    // Captured ahead of Instagram and the player shortcuts, which would act on the page underneath
+    handleKeydown(e) {
+      const actions = {
+        Escape: () => this.close(),
+        ArrowLeft: () => this.step(-1),
+        ArrowRight: () => this.step(1),
+      };
+      if (!actions[e.key]) return;
+      e.preventDefault();
+      e.stopPropagation();
+      actions[e.key]();
+    },
+
+    close() {
+      if (!this.element) return;
+      this.abortController.abort();
+      this.element.remove();
+      this.element = null;
+      this.image = null;
+      this.source = null;
+      this.stepping = false;
+      this.returnFocus?.focus?.({ preventScroll: true });
+      this.returnFocus = null;
+    }
+  };
+
+  // Instagram lays empty layers over its media, so the click is matched through them. Images open the
+  // lightbox, videos take the keyboard focus for the arrow keys. Image sizes change with the layout,
+  // so whether one is a post image is decided at click time
+  function handleMediaClick(e) {
+    if (!Lifecycle.enabled || e.button !== 0 || Lightbox.element) return;
+    if (!e.target.closest('article, [role="dialog"]') && getPageContext() !== 'post') return;
+
+    const media = document.elementsFromPoint(e.clientX, e.clientY)
+      .find(element => element.matches('img[srcset], video[data-ig-enhanced]'));
+    if (!media) return;
+
+    if (media.tagName === 'VIDEO') {
+      focusVideo(media);
+      return;
+    }
+
+    if (!isPostImage(media)) {
+      if (media.dataset.igEnhanced) releaseImage(media);
+      return;
+    }
+    enhanceImage(media);
+
+    if (e.target.closest('a, button, [role="button"]')) return;
+    e.preventDefault();
+    e.stopPropagation();
+    Lightbox.open(media);
+  }
+
+  // ============================================================
+  // LIFECYCLE - Registry of enhanced videos, incremental discovery and teardown
+  // ============================================================
+
+  const Lifecycle = {
+    videos: new Set(),        // Live enhanced videos
+    pending: new Set(),       // Videos and images found in added subtrees, enhanced on the next flush
+    needsSweep: false,        // Nodes were removed, check the registry for detached videos
+    flushTimer: null,
+    enabled: true,            // Turned off per tab from the toolbar popup
+    nextId: 1,
+    stats: {
+      enhanced: 0,
+      cleanedUp: 0,
+      recycled: 0,
+      scans: 0,
+      scanTimeMs: 0,
+    },
+
+    register(video) {
+      this.videos.add(video);
+      video._igEnhancerId = this.nextId++;
+      this.stats.enhanced++;
+    },
+
+    findById(id) {
+      for (const video of this.videos) {
+        if (video._igEnhancerId === id) return video;
+      }
+      return null;
+    },
+
+    // Videos in document order, which is feed order
+    list() {
+      return [...this.videos].sort((a, b) =>
+        a.compareDocumentPosition(b) & Node.DOCUMENT_POSITION_FOLLOWING ? -1 : 1
+      );
+    },
+
+    teardown(video) {
+      if (!this.videos.has(video)) return;
+
+      video._igEnhancerCleanup?.();
+      delete video._igEnhancerCleanup;
+      delete video.dataset.igEnhanced;
+      this.videos.delete(video);
+      this.stats.cleanedUp++;
+    },
+
+    recycle(video) {
+      debug('Video src changed, re-enhancing');
+      this.teardown(video);
+      this.stats.recycled++;
+      if (video.isConnected) enhanceVideo(video);
+    },
+
+    collect(node) {
+      if (node.nodeType !== Node.ELEMENT_NODE) return;
+      if (node.matches('video, img[srcset]')) {
+        this.pending.add(node);
+      } else if (node.firstElementChild) {
+        node.querySelectorAll('video, img[srcset]').forEach(media => this.pending.add(media));
+      }
+    },
+
+    handleMutations(mutations) {
+      for (const mutation of mutations) {
+        mutation.addedNodes.forEach(node => this.collect(node));
+        if (mutation.removedNodes.length > 0) this.needsSweep = true;
       }
-    };
-  }
 
-  function scanForVideos() {
-    const videos = document.querySelectorAll('video:not([data-ig-enhanced])');
-    videos.forEach(enhanceVideo);
-  }
+      if (this.pending.size > 0 || this.needsSweep) {
+        // Debounce the flush
+        clearTimeout(this.flushTimer);
+        this.flushTimer = setTimeout(() => this.flush(), CONFIG.SCAN_DEBOUNCE_MS);
+      }
+    },
+
+    flush() {
+      const start = performance.now();
+
+      // Nodes may have been moved or removed again since they were queued
+      if (this.enabled) {
+        for (const media of this.pending) {
+          if (!media.isConnected || media.dataset.igEnhanced) continue;
+          if (media.tagName === 'IMG') {
+            enhanceImage(media);
+          } else {
+            enhanceVideo(media);
+          }
+        }
+      }
+      this.pending.clear();
+
+      if (this.needsSweep) {
+        this.needsSweep = false;
+        this.sweep();
+      }
+
+      this.stats.scans++;
+      this.stats.scanTimeMs += performance.now() - start;
+    },
+
+    sweep() {
+      for (const video of this.videos) {
+        // A detached video can keep playing in picture-in-picture, it's torn down when that closes.
+        // Same for the fullscreen one, until the fullscreenchange hands it over
+        if (!video.isConnected && document.pictureInPictureElement !== video &&
+            !document.fullscreenElement?.contains(video)) {
+          this.teardown(video);
+        }
+      }
+      debug('Lifecycle stats:', this.getStats());
+    },
+
+    // Full-document scan, only used once at startup
+    scanDocument() {
+      document.querySelectorAll('video:not([data-ig-enhanced]), img[srcset]:not([data-ig-enhanced])')
+        .forEach(media => this.pending.add(media));
+      this.flush();
+    },
+
+    setEnabled(enabled) {
+      if (enabled === this.enabled) return;
+      this.enabled = enabled;
+      try {
+        sessionStorage.setItem('ig_enhancer_disabled', (!enabled).toString());
+      } catch (e) {}
+
+      if (enabled) {
+        this.scanDocument();
+      } else {
+        this.videos.forEach(video => this.teardown(video));
+        document.querySelectorAll('img[data-ig-enhanced]').forEach(releaseImage);
+        Lightbox.close();
+        Diagnostics.close();
+      }
+      Declutter.refresh();
+      debug('Enhancer', enabled ? 'enabled' : 'disabled', 'for this tab');
+    },
+
+    loadEnabled() {
+      try {
+        this.enabled = sessionStorage.getItem('ig_enhancer_disabled') !== 'true';
+      } catch (e) {}
+    },
+
+    getStats() {
+      return {
+        liveOverlays: this.videos.size,
+        ...this.stats,
+        scanTimeMs: Math.round(this.stats.scanTimeMs * 10) / 10,
+      };
+    }
+  };
+
+  // ============================================================
+  // FEED DECLUTTER - Hides suggested, sponsored, Reels and Threads units in the home feed
+  // ============================================================
+  //
+  // Detection goes by structure so it works in every UI language:
+  // - sponsored: a post with an ad/outbound call-to-action link, or still without a <time> permalink
+  //   once it settled (Instagram renders the timestamp late)
+  // - suggested: a post with a text-only button (Follow) above its media, i.e. an account you don't follow
+  // - reels: a block between posts holding several /reel/ links
+  // - threads: a block or link-less post pointing at threads.net/threads.com
+
+  const DECLUTTER_LABELS = {
+    suggested: 'hiddenSuggested',
+    sponsored: 'hiddenSponsored',
+    reels: 'hiddenReels',
+    threads: 'hiddenThreads',
+  };
+  const SPONSORED_LINK_SELECTOR = 'a[href*="/ads/"], a[href^="https://l.instagram.com/"]';
+  const THREADS_LINK_SELECTOR = 'a[href*="threads.net"], a[href*="threads.com"]';
+  const REEL_LINK_SELECTOR = 'a[href*="/reel/"]';
+  const MIN_CAROUSEL_REELS = 3;
+  const MIN_MEDIA_WIDTH = 200;     // Smaller images are avatars
+  const DECLUTTER_SETTLE_MS = 1500; // A post with nothing added for this long is fully rendered
+
+  const Declutter = {
+    pending: new Set(),   // Added subtrees, classified on the next flush
+    flushTimer: null,
+    counts: {},           // Units hidden since the route changed, per category
+    counted: new WeakSet(),
+
+    // Only the home feed, the 'feed' context also covers pages like Explore
+    isActive() {
+      return Lifecycle.enabled && window.location.pathname === '/' &&
+        Object.values(CONFIG.DECLUTTER).some(Boolean);
+    },
+
+    handleMutations(mutations) {
+      if (!this.isActive()) return;
+
+      for (const mutation of mutations) {
+        mutation.addedNodes.forEach(node => {
+          if (node.nodeType === Node.ELEMENT_NODE && !node.classList.contains('ig-enhancer-declutter-placeholder')) {
+            this.pending.add(node);
+          }
+        });
+      }
+
+      if (this.pending.size > 0) {
+        clearTimeout(this.flushTimer);
+        this.flushTimer = setTimeout(() => this.flush(), CONFIG.SCAN_DEBOUNCE_MS);
+      }
+    },
+
+    flush() {
+      for (const node of this.pending) {
+        if (node.isConnected) this.scan(node);
+      }
+      this.pending.clear();
+    },
+
+    // Articles render in pieces, so a post is classified again whenever something is added to it
+    scan(root) {
+      if (!this.isActive()) return;
+
+      const articles = new Set(root.querySelectorAll('article'));
+      const article = root.closest('article');
+      if (article) articles.add(article);
+      articles.forEach(post => this.classifyPost(post));
+
+      const threadsLinks = [...root.querySelectorAll(THREADS_LINK_SELECTOR)].filter(link => !link.closest('article'));
+      threadsLinks.forEach(link => {
+        const unit = this.findFeedUnit(link);
+        if (unit) this.hide(unit, 'threads');
+      });
+
+      const reelUnits = new Map();
+      root.querySelectorAll(REEL_LINK_SELECTOR).forEach(link => {
+        if (link.closest('article')) return;
+        const unit = this.findFeedUnit(link);
+        if (unit) reelUnits.set(unit, (reelUnits.get(unit) || 0) + 1);
+      });
+      reelUnits.forEach((count, unit) => {
+        if (count >= MIN_CAROUSEL_REELS) this.hide(unit, 'reels');
+      });
+    },
+
+    classifyPost(post, settled = false) {
+      const media = [...post.querySelectorAll('video, img')]
+        .find(element => element.tagName === 'VIDEO' || element.getBoundingClientRect().width > MIN_MEDIA_WIDTH);
+      // Not rendered far enough to tell yet
+      if (!media) return;
+
+      // The timestamp may still be on its way, a missing one only counts once the post settled
+      const hasTime = Boolean(post.querySelector('time'));
+      const hasSponsoredLink = Boolean(post.querySelector(SPONSORED_LINK_SELECTOR));
+      if (!hasTime && !hasSponsoredLink && !settled) {
+        this.checkWhenSettled(post);
+        return;
+      }
+
+      let category = null;
+      if (!hasTime && post.querySelector(THREADS_LINK_SELECTOR)) {
+        category = 'threads';
+      } else if (!hasTime || hasSponsoredLink) {
+        category = 'sponsored';
+      } else if (this.hasFollowButton(post, media)) {
+        category = 'suggested';
+      }
+
+      // The missing piece (e.g. the timestamp) may have arrived since the post was hidden
+      const hiddenAs = post.dataset.igEnhancerDeclutter;
+      if (hiddenAs && hiddenAs !== category) this.unhide(post);
+      if (category) this.hide(post, category);
+    },
+
+    // Every addition to the post pushes the check back, see scan()
+    checkWhenSettled(post) {
+      clearTimeout(post._igEnhancerSettleTimer);
+      post._igEnhancerSettleTimer = setTimeout(() => {
+        if (post.isConnected && this.isActive()) this.classifyPost(post, true);
+      }, DECLUTTER_SETTLE_MS);
+    },
+
+    // Follow buttons are text-only, unlike the icon buttons, and sit in the header above the media
+    hasFollowButton(post, media) {
+      return [...post.querySelectorAll('button, [role="button"]')].some(button =>
+        !button.querySelector('svg, img') && button.textContent.trim() !== '' &&
+        !button.closest('form') &&
+        Boolean(button.compareDocumentPosition(media) & Node.DOCUMENT_POSITION_FOLLOWING)
+      );
+    },
+
+    // The largest ancestor that holds no other post: feed units are siblings of the post articles
+    findFeedUnit(element) {
+      let unit = element;
+      while (unit.parentElement && !unit.parentElement.matches('main, body')) {
+        if (unit.parentElement.querySelector('article')) {
+          return unit.querySelector('article') ? null : unit;
+        }
+        unit = unit.parentElement;
+      }
+      return null;
+    },
+
+    // The placeholder goes inside the unit, so it disappears with it when Instagram removes the unit
+    hide(unit, category) {
+      if (!CONFIG.DECLUTTER[category] || unit.dataset.igEnhancerRevealed) return;
+      if (unit.dataset.igEnhancerDeclutter === category) return;
+
+      unit.dataset.igEnhancerDeclutter = category;
+      if (!this.counted.has(unit)) {
+        this.counted.add(unit);
+        this.counts[category] = (this.counts[category] ?? 0) + 1;
+      }
+      const placeholder = document.createElement('div');
+      placeholder.className = 'ig-enhancer-declutter-placeholder';
+      placeholder.innerHTML = `
+        <span></span>
+        <button type="button" data-i18n="showAnyway"></button>
+      `;
+      localize(placeholder);
+      placeholder.querySelector('span').textContent = t(DECLUTTER_LABELS[category]);
+      placeholder.querySelector('button').addEventListener('click', (e) => {
+        e.preventDefault();
+        e.stopPropagation();
+        this.reveal(unit);
+      });
+      unit.prepend(placeholder);
+      debug('Hid feed unit:', category);
+    },
+
+    unhide(unit) {
+      delete unit.dataset.igEnhancerDeclutter;
+      unit.querySelector(':scope > .ig-enhancer-declutter-placeholder')?.remove();
+    },
+
+    // "Show anyway" sticks for this unit, later scans leave it alone
+    reveal(unit) {
+      unit.dataset.igEnhancerRevealed = 'true';
+      this.unhide(unit);
+    },
+
+    // Re-applies the categories after a settings change or the tab toggle
+    refresh() {
+      document.querySelectorAll('[data-ig-enhancer-declutter]').forEach(unit => {
+        if (!this.isActive() || !CONFIG.DECLUTTER[unit.dataset.igEnhancerDeclutter]) this.unhide(unit);
+      });
+      this.scan(document.body);
+    },
+
+    // The feed is virtualised, so hidden units are counted as they're hidden rather than looked up
+    getCounts() {
+      return Object.fromEntries(Object.keys(DECLUTTER_LABELS).map(category => [category, this.counts[category] ?? 0]));
+    },
+
+    resetCounts() {
+      this.counts = {};
+      this.counted = new WeakSet();
+    }
+  };
 
   // ============================================================
   // TIMESTAMP SAVING - Only save on actual navigation events
@@ -443,148 +3505,563 @@
       saveDebounceTimer = null;
     }, 500);
 
-    const videos = document.querySelectorAll('video');
-    videos.forEach(video => {
+    Lifecycle.videos.forEach(video => {
       if (video.currentTime > 0) {
-        const postId = getPostId(video);
+        // The docked video has left its post, so the URL or page around it would give the wrong id
+        const postId = video === MiniPlayer.video ? MiniPlayer.postId : getPostId(video);
         if (postId) {
           TimestampStore.save(postId, video.currentTime);
+          if (CONFIG.RESUME_ENABLED) {
+            WatchHistory.save(postId, video.currentTime, video.duration);
+          }
         }
       }
     });
   }
 
+  // Instagram's comment bubble icon, the same in every UI language unlike its aria-label
+  const COMMENT_ICON_PATH_PREFIX = 'M20.656 17.008';
+
+  function isCommentButton(target) {
+    const control = target.closest('button, [role="button"], svg');
+    if (!control) return false;
+    const svg = control.matches('svg') ? control : control.querySelector('svg');
+    return Boolean(svg?.querySelector(`path[d^="${COMMENT_ICON_PATH_PREFIX}"]`));
+  }
+
   function handleLinkClick(event) {
     const target = event.target;
 
-    // Save timestamps when clicking a link that navigates to a post
+    // Save timestamps when clicking a link that navigates to a post. The session store is shared
+    // between tabs, so this also carries the position into a tab opened with Ctrl/Cmd or the
+    // middle button (auxclick)
     const link = target.closest('a[href*="/p/"], a[href*="/reel/"]');
     if (link) {
       debug('Link click detected, saving timestamps');
       saveAllVideoTimestamps();
       return;
     }
+    if (event.type === 'auxclick') return;
+
+    // The comment button opens the post modal without being a link
+    if (target.closest('article')?.querySelector('video') && isCommentButton(target)) {
+      debug('Comment button click in video post, saving timestamps');
+      saveAllVideoTimestamps();
+      if (getPageContext() !== 'post') MiniPlayer.dockPlaying();
+    }
+  }
+
+  // Catches every route change into a post (buttons, keyboard, Instagram's own code) before the
+  // modal renders, regardless of which control or UI language triggered it
+  function handleNavigate(event) {
+    const destination = new URL(event.destination.url);
+    if (destination.pathname !== window.location.pathname) Declutter.resetCounts();
+    if (POST_PATH_PATTERN.test(destination.pathname) && !POST_PATH_PATTERN.test(window.location.pathname)) {
+      debug('Navigating to a post, saving timestamps');
+      saveAllVideoTimestamps();
+      MiniPlayer.dockPlaying();
+    }
+  }
+
+
+  // ============================================================
+  // KEYBOARD SHORTCUTS - Remappable player shortcuts for the active video
+  // ============================================================
+
+  function isVisible(video) {
+    // Carousel slides next to the current one are in the viewport but clipped, the observer knows
+    if (video._igEnhancerVisibleRatio === 0) return false;
+    const rect = video.getBoundingClientRect();
+    return rect.top < window.innerHeight && rect.bottom > 0;
+  }
+
+  // The video shortcuts act on: the fullscreen or theater video, the first visible playing video,
+  // else the first visible one
+  function getActiveVideo() {
+    const enlarged = ViewModes.fullscreenWrapper || ViewModes.theaterWrapper;
+    if (enlarged) return enlarged.querySelector('video');
+
+    const videos = [...document.querySelectorAll('video')].filter(isVisible);
+    return videos.find(video => !video.paused) || videos[0] || null;
+  }
+
+  // Arrow keys also move through carousels and posts, so they stay with Instagram unless a video is
+  // focused: clicked, tabbed into or enlarged
+  function focusVideo(video) {
+    if (!video.dataset.igEnhanced && Lifecycle.enabled) enhanceVideo(video);
+    const wrapper = getWrapper(video);
+    if (wrapper && !wrapper.contains(document.activeElement)) wrapper.focus({ preventScroll: true });
+  }
+
+  function seekTo(video, time) {
+    video.currentTime = Math.max(0, Math.min(video.duration, time));
+    announce(t('announceSeek', formatSpokenTime(video.currentTime)));
+  }
+
+  function seekBy(video, seconds) {
+    seekTo(video, video.currentTime + seconds);
+  }
+
+  function changeVolume(video, delta) {
+    const volume = Math.round(Math.max(0, Math.min(MAX_VOLUME_LEVEL, getVolumeLevel(video) + delta)) * 100) / 100;
+    setVolumeLevel(video, volume);
+    video.muted = volume === 0;
+    Preferences.volume = volume;
+    Preferences.muted = video.muted;
+    announce(t('announceVolume', String(Math.round(volume * 100))));
+  }
+
+  function changeSpeed(video, direction) {
+    const speeds = CONFIG.PLAYBACK_SPEEDS;
+    const rate = video.playbackRate;
+    const next = direction > 0
+      ? speeds.find(speed => speed > rate)
+      : [...speeds].reverse().find(speed => speed < rate);
+    if (next !== undefined) {
+      video.playbackRate = next;
+      announce(t('announceSpeed', String(next)));
+    }
+  }
+
+  function stepFrame(video, direction) {
+    if (!video.paused) return;
+    seekBy(video, direction / CONFIG.FRAME_STEP_FPS);
+  }
+
+  // Actions that toggle state ignore auto-repeat so holding the key doesn't flicker
+  const SHORTCUT_ACTIONS = {
+    playPause: { repeat: false, run: video => (video.paused ? playByUser(video) : pauseByUser(video)) },
+    seekBackward: { run: video => seekBy(video, -CONFIG.SEEK_SECONDS) },
+    seekForward: { run: video => seekBy(video, CONFIG.SEEK_SECONDS) },
+    seekBackwardLong: { run: video => seekBy(video, -CONFIG.LONG_SEEK_SECONDS) },
+    seekForwardLong: { run: video => seekBy(video, CONFIG.LONG_SEEK_SECONDS) },
+    toggleMute: {
+      repeat: false,
+      run: video => {
+        video.muted = !video.muted;
+        Preferences.muted = video.muted;
+        announce(t(video.muted ? 'muted' : 'unmuted'));
+      }
+    },
+    volumeUp: { run: video => changeVolume(video, CONFIG.VOLUME_STEP) },
+    volumeDown: { run: video => changeVolume(video, -CONFIG.VOLUME_STEP) },
+    speedDown: { run: video => changeSpeed(video, -1) },
+    speedUp: { run: video => changeSpeed(video, 1) },
+    frameBackward: { run: video => stepFrame(video, -1) },
+    frameForward: { run: video => stepFrame(video, 1) },
+    loopStart: { repeat: false, run: video => video._igEnhancerLoop?.setStart() },
+    loopEnd: { repeat: false, run: video => video._igEnhancerLoop?.setEnd() },
+    loopClear: { repeat: false, run: video => video._igEnhancerLoop?.clear() },
+    togglePictureInPicture: { repeat: false, run: togglePictureInPicture },
+    toggleFullscreen: { repeat: false, run: toggleFullscreen },
+    toggleTheater: { repeat: false, run: toggleTheater },
+    addBookmark: { repeat: false, run: addBookmark },
+    toggleDiagnostics: { repeat: false, global: true, run: () => Diagnostics.toggle() },
+  };
 
-    // Also save when clicking in the action bar area of a post (likes, comments, share, save)
-    // These buttons can trigger navigation to the post modal
-    const article = target.closest('article');
-    if (article?.querySelector('video')) {
-      // Check if clicking on action buttons (comment icon, etc.)
-      const isActionButton = target.closest('svg, button, [role="button"]');
-      // Check for comment-related aria-labels
-      const commentButton = target.closest('[aria-label*="Comment" i], [aria-label*="comment" i]');
+  for (let percent = 0; percent < 100; percent += 10) {
+    SHORTCUT_ACTIONS[`seekPercent${percent}`] = {
+      repeat: false,
+      run: video => seekTo(video, (percent / 100) * video.duration)
+    };
+  }
 
-      if (commentButton || isActionButton) {
-        debug('Action button click in video post, saving timestamps');
-        saveAllVideoTimestamps();
+  function findShortcutAction(key) {
+    const normalized = Settings.normalizeKey(key);
+    for (const [action, keys] of Object.entries(CONFIG.SHORTCUTS)) {
+      if (keys.some(bound => Settings.normalizeKey(bound) === normalized)) {
+        return SHORTCUT_ACTIONS[action] || null;
       }
     }
+    return null;
+  }
+
+  function isTypingTarget(target) {
+    return target.tagName === 'INPUT' ||
+      target.tagName === 'TEXTAREA' ||
+      target.tagName === 'SELECT' ||
+      target.isContentEditable ||
+      target.closest?.('[role="textbox"], [contenteditable="true"]');
+  }
+
+  function handleShortcut(e) {
+    // Off for this tab means nothing is injected, page-wide actions included
+    if (!Lifecycle.enabled || Lightbox.element) return;
+
+    // Leave handled keys and modifier combos (Instagram's and the browser's own shortcuts) alone
+    if (e.defaultPrevented || e.ctrlKey || e.metaKey || e.altKey) return;
+
+    // Don't interfere with typing
+    if (isTypingTarget(e.target)) return;
+
+    // Space and Enter on a focused button should still press that button
+    if ((e.key === ' ' || e.key === 'Enter') && e.target.closest?.('button, [role="button"], a')) return;
+
+    const action = findShortcutAction(e.key);
+    if (!action || (e.repeat && action.repeat === false)) return;
+
+    // Page-wide actions don't need a video
+    if (action.global) {
+      e.preventDefault();
+      action.run();
+      return;
+    }
+
+    // Keys pressed inside an overlay act on that overlay's video. Space and the arrows scroll the page
+    // and move through carousels, so they only reach a focused or enlarged video
+    const focusedVideo = e.target.closest?.('.ig-enhancer-wrapper')?.querySelector('video');
+    const isPageKey = e.key === ' ' || e.key.startsWith('Arrow');
+    if (isPageKey && !focusedVideo && !ViewModes.fullscreenWrapper && !ViewModes.theaterWrapper) return;
+
+    const video = focusedVideo || getActiveVideo();
+    if (!video || !video.duration) return;
+
+    e.preventDefault();
+    action.run(video);
+    video._igEnhancerAppearance?.show();
   }
 
   // ============================================================
-  // INITIALIZATION
+  // DIAGNOSTICS - In-page panel for video detection, post IDs and playback stats
   // ============================================================
 
-  function init() {
-    // Initial scan
-    scanForVideos();
+  const DIAGNOSTICS_REFRESH_MS = 1000;
 
-    // Single MutationObserver for both video detection and URL changes
-    let lastUrl = location.href;
-    const observer = new MutationObserver((mutations) => {
-      // Check for URL change (SPA navigation)
-      if (location.href !== lastUrl) {
-        lastUrl = location.href;
-        setTimeout(scanForVideos, CONFIG.NAVIGATION_SCAN_DELAY_MS);
-        return; // URL change will trigger a full scan, skip video detection
+  function roundTime(seconds) {
+    return Math.round(seconds * 100) / 100;
+  }
+
+  function getPlaybackStats(video) {
+    const quality = video.getVideoPlaybackQuality?.();
+    const buffered = [];
+    for (let i = 0; i < video.buffered.length; i++) {
+      buffered.push([roundTime(video.buffered.start(i)), roundTime(video.buffered.end(i))]);
+    }
+
+    return {
+      resolution: video.videoWidth ? `${video.videoWidth}x${video.videoHeight}` : null,
+      currentTime: roundTime(video.currentTime),
+      duration: isFinite(video.duration) ? roundTime(video.duration) : null,
+      buffered,
+      droppedFrames: quality?.droppedVideoFrames ?? null,
+      totalFrames: quality?.totalVideoFrames ?? null,
+      playbackRate: video.playbackRate,
+      paused: video.paused,
+    };
+  }
+
+  const Diagnostics = {
+    panel: null,
+    timer: null,
+
+    toggle() {
+      if (this.panel) {
+        this.close();
+      } else {
+        this.open();
       }
+    },
 
-      // Check for new video elements
-      let shouldScan = false;
-      for (const mutation of mutations) {
-        if (mutation.addedNodes.length > 0) {
-          for (const node of mutation.addedNodes) {
-            if (node.nodeType === Node.ELEMENT_NODE) {
-              if (node.tagName === 'VIDEO' || node.querySelector?.('video')) {
-                shouldScan = true;
-                break;
-              }
-            }
-          }
+    // The enhance-time post ID is what timestamps were saved and restored under, the current one
+    // tells whether it would resolve differently now
+    async collect() {
+      return {
+        generated: new Date().toISOString(),
+        url: window.location.href,
+        context: getPageContext(),
+        version: chrome.runtime.getManifest().version,
+        userAgent: navigator.userAgent,
+        enabled: Lifecycle.enabled,
+        lifecycle: Lifecycle.getStats(),
+        videos: Lifecycle.list().map(video => ({
+          id: video._igEnhancerId,
+          postId: video._igEnhancerPostId ?? null,
+          strategy: video._igEnhancerPostIdStrategy ?? null,
+          currentPostId: video === MiniPlayer.video ? MiniPlayer.postId : getPostId(video),
+          docked: video === MiniPlayer.video,
+          ...getPlaybackStats(video),
+        })),
+        savedTimestamps: await TimestampStore.list(),
+      };
+    },
+
+    open() {
+      const panel = document.createElement('div');
+      panel.className = 'ig-enhancer-diagnostics';
+      panel.setAttribute('role', 'region');
+      panel.setAttribute('aria-label', t('diagnostics'));
+      panel.innerHTML = `
+        <div class="ig-enhancer-diagnostics-header">
+          <strong data-i18n="diagnostics"></strong>
+          <button type="button" class="ig-enhancer-diagnostics-export" data-i18n="exportReport"></button>
+          <button type="button" class="ig-enhancer-diagnostics-close" data-i18n-label="closeDiagnostics" data-i18n-title="closeDiagnostics">&times;</button>
+        </div>
+        <div class="ig-enhancer-diagnostics-body"></div>
+      `;
+      localize(panel);
+      panel.querySelector('.ig-enhancer-diagnostics-export').addEventListener('click', () => this.exportReport());
+      panel.querySelector('.ig-enhancer-diagnostics-close').addEventListener('click', () => this.close());
+
+      this.panel = panel;
+      document.body.append(panel);
+      document.documentElement.classList.add('ig-enhancer-diagnostics-open');
+      this.refresh();
+      this.timer = setInterval(() => this.refresh(), DIAGNOSTICS_REFRESH_MS);
+    },
+
+    close() {
+      if (!this.panel) return;
+      clearInterval(this.timer);
+      this.timer = null;
+      this.panel.remove();
+      this.panel = null;
+      document.documentElement.classList.remove('ig-enhancer-diagnostics-open');
+      document.querySelectorAll('.ig-enhancer-diagnostics-badge').forEach(badge => badge.remove());
+    },
+
+    async refresh() {
+      const report = await this.collect();
+      if (!this.panel) return;
+      this.renderBadges();
+      this.renderBody(report);
+    },
+
+    // Labels every outlined video with the post ID and strategy the enhancer used
+    renderBadges() {
+      Lifecycle.videos.forEach(video => {
+        const wrapper = getWrapper(video);
+        if (!wrapper) return;
+
+        let badge = wrapper.querySelector(':scope > .ig-enhancer-diagnostics-badge');
+        if (!badge) {
+          badge = document.createElement('div');
+          badge.className = 'ig-enhancer-diagnostics-badge';
+          wrapper.append(badge);
         }
-        if (shouldScan) break;
-      }
+        const text = `#${video._igEnhancerId} ${video._igEnhancerPostId ?? '?'} (${video._igEnhancerPostIdStrategy ?? '-'})`;
+        if (badge.textContent !== text) badge.textContent = text;
+      });
+    },
 
-      if (shouldScan) {
-        // Debounce the scan
-        clearTimeout(observer._scanTimeout);
-        observer._scanTimeout = setTimeout(scanForVideos, CONFIG.SCAN_DEBOUNCE_MS);
+    // Sections are updated in place, replacing them every refresh would drop any text selection
+    renderBody(report) {
+      const body = this.panel.querySelector('.ig-enhancer-diagnostics-body');
+      if (!body.firstChild) {
+        for (let i = 0; i < 3; i++) {
+          const element = document.createElement('section');
+          element.append(document.createElement('h3'), document.createElement('pre'));
+          body.append(element);
+        }
       }
-    });
+      const section = (element, title, lines) => {
+        const [heading, list] = element.children;
+        const text = lines.length > 0 ? lines.join('\n') : t('diagnosticsEmpty');
+        if (heading.textContent !== title) heading.textContent = title;
+        if (list.textContent !== text) list.textContent = text;
+      };
+
+      const videoLines = report.videos.map(video => [
+        `#${video.id} ${video.postId ?? '?'} via ${video.strategy ?? '-'}` +
+          (video.currentPostId !== video.postId ? ` (now ${video.currentPostId ?? '?'})` : '') +
+          (video.docked ? ' [mini player]' : ''),
+        `  ${video.resolution ?? 'no metadata'}, ${video.currentTime}/${video.duration ?? '?'}s, ` +
+          `${video.playbackRate}x${video.paused ? ', paused' : ''}`,
+        `  buffered ${video.buffered.map(([start, end]) => `${start}-${end}`).join(', ') || 'none'}`,
+        `  dropped ${video.droppedFrames ?? '?'} of ${video.totalFrames ?? '?'} frames`,
+      ].join('\n'));
+      const timestampLines = Object.entries(report.savedTimestamps)
+        .map(([postId, time]) => `${postId}: ${roundTime(time)}s`);
+
+      const [state, videos, timestamps] = body.children;
+      section(state, `${report.context}, ${t(report.enabled ? 'diagnosticsEnabled' : 'diagnosticsDisabled')}`, [
+        Object.entries(report.lifecycle).map(([key, value]) => `${key} ${value}`).join(', '),
+      ]);
+      section(videos, t('enhancedVideos'), videoLines);
+      section(timestamps, t('savedTimestamps'), timestampLines);
+    },
+
+    async exportReport() {
+      const report = await this.collect();
+      downloadFile(
+        `ig-enhancer-report-${report.generated.replace(/[:.]/g, '-')}.json`,
+        'application/json',
+        JSON.stringify(report, null, 2)
+      );
+    }
+  };
+
+  // ============================================================
+  // INITIALIZATION
+  // ============================================================
+
+  function init() {
+    AutoplayPolicy.init();
+    MiniPlayer.init();
+    seedDeepLinkTime();
 
+    // Initial scan, afterwards videos are found incrementally from mutations
+    Lifecycle.loadEnabled();
+    if (Lifecycle.enabled) Lifecycle.scanDocument();
+    Declutter.scan(document.body);
+
+    // One observer feeds both the video lifecycle and the feed declutter rules
+    const observer = new MutationObserver((mutations) => {
+      Lifecycle.handleMutations(mutations);
+      Declutter.handleMutations(mutations);
+    });
     observer.observe(document.body, {
       childList: true,
       subtree: true
     });
 
-    // Listen for link clicks that navigate to a post
+    // Live counters for checking that overlays don't leak, e.g. igEnhancerStats() in the
+    // extension's console context
+    window.igEnhancerStats = () => Lifecycle.getStats();
+
+    // Clicks on post images open the lightbox, clicks on videos focus them
+    document.addEventListener('click', handleMediaClick, true);
+
+    // Listen for link clicks that navigate to a post, in this tab or a new one
     document.addEventListener('click', handleLinkClick, true);
+    document.addEventListener('auxclick', handleLinkClick, true);
+
+    // And for the SPA route change itself where the Navigation API is available
+    window.navigation?.addEventListener('navigate', handleNavigate);
 
     // Also listen to popstate for back/forward navigation
-    window.addEventListener('popstate', () => {
-      saveAllVideoTimestamps();
-      setTimeout(scanForVideos, CONFIG.NAVIGATION_SCAN_DELAY_MS);
-    });
+    window.addEventListener('popstate', saveAllVideoTimestamps);
 
     // Save timestamps before page unload
     window.addEventListener('beforeunload', saveAllVideoTimestamps);
 
-    // Keyboard controls for video seeking
-    document.addEventListener('keydown', (e) => {
-      // Don't interfere with typing
-      if (e.target.tagName === 'INPUT' || e.target.tagName === 'TEXTAREA' || e.target.isContentEditable) {
-        return;
-      }
+    // Keyboard shortcuts for the active video
+    document.addEventListener('keydown', handleShortcut);
 
-      if (e.key === 'ArrowLeft' || e.key === 'ArrowRight') {
-        // Find visible/playing video
-        const videos = document.querySelectorAll('video');
-        let activeVideo = null;
+    document.addEventListener('fullscreenchange', handleFullscreenChange);
+  }
 
-        for (const video of videos) {
-          const rect = video.getBoundingClientRect();
-          const isVisible = rect.top < window.innerHeight && rect.bottom > 0;
-          if (isVisible && !video.paused) {
-            activeVideo = video;
-            break;
-          }
-        }
+  // ============================================================
+  // MESSAGING - Answers the toolbar popup
+  // ============================================================
+  //
+  // { type: 'getState' }                 -> { enabled, context, videos: [{ id, postId, currentTime, duration, paused }],
+  //                                          hidden: { suggested, sponsored, reels, threads } }
+  // { type: 'setEnabled', enabled }      -> { enabled }
+  // { type: 'playVideo', id }            -> { ok }
+
+  function describeVideo(video) {
+    return {
+      id: video._igEnhancerId,
+      postId: getVideoPostId(video),
+      currentTime: video.currentTime,
+      duration: isFinite(video.duration) ? video.duration : null,
+      paused: video.paused,
+    };
+  }
 
-        // Fallback: any visible video
-        if (!activeVideo) {
-          for (const video of videos) {
-            const rect = video.getBoundingClientRect();
-            const isVisible = rect.top < window.innerHeight && rect.bottom > 0;
-            if (isVisible) {
-              activeVideo = video;
-              break;
-            }
-          }
-        }
+  const MESSAGE_HANDLERS = {
+    getState() {
+      return {
+        enabled: Lifecycle.enabled,
+        context: getPageContext(),
+        videos: Lifecycle.list().map(describeVideo),
+        hidden: Declutter.getCounts(),
+      };
+    },
 
-        if (activeVideo && activeVideo.duration) {
-          e.preventDefault();
-          const skip = e.key === 'ArrowRight' ? CONFIG.SEEK_SECONDS : -CONFIG.SEEK_SECONDS;
-          activeVideo.currentTime = Math.max(0, Math.min(activeVideo.duration, activeVideo.currentTime + skip));
-        }
-      }
-    });
+    setEnabled({ enabled }) {
+      Lifecycle.setEnabled(Boolean(enabled));
+      return { enabled: Lifecycle.enabled };
+    },
+
+    playVideo({ id }) {
+      const video = Lifecycle.findById(id);
+      if (!video) return { ok: false };
+
+      video.scrollIntoView({ behavior: scrollBehavior(), block: 'center' });
+      playByUser(video);
+      return { ok: true };
+    }
+  };
+
+  function handleMessage(message, sender, sendResponse) {
+    const handler = MESSAGE_HANDLERS[message?.type];
+    if (!handler) return false;
+
+    sendResponse(handler(message));
+    return false;
+  }
+
+  // ============================================================
+  // SETTINGS - Applies options page changes without a page reload
+  // ============================================================
+
+  function applySettings(changes) {
+    Object.assign(CONFIG, changes);
+    debug('Settings changed:', changes);
+
+    if ('PLAYBACK_SPEEDS' in changes) {
+      Lifecycle.videos.forEach(video => {
+        const select = video.parentElement?.querySelector('.ig-enhancer-speed');
+        if (select) renderSpeedOptions(select, video.playbackRate);
+      });
+    }
+
+    // Only videos still on the default volume follow the new default
+    if ('DEFAULT_VOLUME' in changes && !Preferences.hasCustomVolume) {
+      Lifecycle.videos.forEach(video => {
+        setVolumeLevel(video, CONFIG.DEFAULT_VOLUME);
+      });
+    }
+
+    if ('DEFAULT_MUTED' in changes) {
+      Preferences.resetMuted();
+      Lifecycle.videos.forEach(video => {
+        video.muted = CONFIG.DEFAULT_MUTED;
+      });
+    }
+
+    if ('DECLUTTER' in changes) {
+      Declutter.refresh();
+    }
+
+    if (APPEARANCE_SETTINGS.some(key => key in changes)) {
+      Lifecycle.videos.forEach(video => video._igEnhancerAppearance?.update());
+    }
+
+    if ('DEFAULT_SPEED' in changes) {
+      Lifecycle.videos.forEach(video => {
+        if (!creatorRules[video._igEnhancerCreator]) setPlaybackSpeed(video, CONFIG.DEFAULT_SPEED);
+      });
+    }
   }
 
-  // Wait for DOM to be ready
-  if (document.readyState === 'loading') {
-    document.addEventListener('DOMContentLoaded', init);
-  } else {
-    init();
+  async function start() {
+    Object.assign(CONFIG, await Settings.load());
+    Settings.onChanged(applySettings);
+
+    await Preferences.load();
+    Preferences.onChanged(handlePreferencesChanged);
+
+    if (CONFIG.RESUME_ENABLED) {
+      WatchHistory.prune(true);
+    }
+
+    creatorRules = await CreatorRules.load();
+    CreatorRules.onChanged(handleCreatorRulesChanged);
+
+    bookmarks = await Bookmarks.load();
+    Bookmarks.onChanged(handleBookmarksChanged);
+
+    chrome.runtime.onMessage.addListener(handleMessage);
+
+    // Wait for DOM to be ready
+    if (document.readyState === 'loading') {
+      document.addEventListener('DOMContentLoaded', init);
+    } else {
+      init();
+    }
   }
+
+  start();
 })();
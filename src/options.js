@@ -0,0 +1,237 @@
+// Bearable Desktop Instagram - Options Page
+// Binds the form fields to chrome.storage.sync, content scripts pick up changes live
+
+(function() {
+  'use strict';
+
+  const STATUS_CLEAR_MS = 1500;
+  const MAX_KEYS_PER_SHORTCUT = 2;
+
+  const fields = document.querySelectorAll('[data-setting]');
+  const statusEl = document.getElementById('status');
+  const shortcutsEl = document.getElementById('shortcuts');
+  const creatorRulesEl = document.getElementById('creator-rules');
+  const noCreatorRulesEl = document.getElementById('no-creator-rules');
+  let statusTimer = null;
+  let shortcuts = { ...Settings.DEFAULTS.SHORTCUTS };
+
+  // ============================================================
+  // FIELD CONVERSION - Maps between stored values and form inputs by data-type
+  // ============================================================
+
+  function readField(input) {
+    switch (input.dataset.type) {
+      case 'bool':
+        return input.checked;
+      case 'number': {
+        const value = input.valueAsNumber;
+        if (!isFinite(value)) return undefined;
+        if (input.min !== '' && value < parseFloat(input.min)) return undefined;
+        if (input.max !== '' && value > parseFloat(input.max)) return undefined;
+        return value;
+      }
+      case 'percent': {
+        const value = input.valueAsNumber;
+        if (!isFinite(value)) return undefined;
+        if (input.min !== '' && value < parseFloat(input.min)) return undefined;
+        if (input.max !== '' && value > parseFloat(input.max)) return undefined;
+        return value / 100;
+      }
+      case 'number-list': {
+        const values = input.value
+          .split(',')
+          .map(part => parseFloat(part.trim()))
+          .filter(value => isFinite(value) && value > 0);
+        if (values.length === 0) return undefined;
+        return [...new Set(values)].sort((a, b) => a - b);
+      }
+      default:
+        return input.value;
+    }
+  }
+
+  // Fields with data-path edit one entry of an object setting, e.g. "feed.blockAutoplay"
+  function getPath(value, path) {
+    return path.split('.').reduce((obj, key) => obj?.[key], value);
+  }
+
+  function readNestedSetting(key) {
+    const value = {};
+    for (const input of document.querySelectorAll(`[data-setting="${key}"][data-path]`)) {
+      const fieldValue = readField(input);
+      if (fieldValue === undefined) return undefined;
+
+      const keys = input.dataset.path.split('.');
+      const last = keys.pop();
+      const target = keys.reduce((obj, part) => (obj[part] ??= {}), value);
+      target[last] = fieldValue;
+    }
+    return value;
+  }
+
+  function writeField(input, value) {
+    if (input.dataset.path) {
+      value = getPath(value, input.dataset.path);
+    }
+
+    switch (input.dataset.type) {
+      case 'bool':
+        input.checked = value;
+        break;
+      case 'percent':
+        input.value = Math.round(value * 100);
+        break;
+      case 'number-list':
+        input.value = value.join(', ');
+        break;
+      default:
+        input.value = value;
+    }
+    input.classList.remove('invalid');
+  }
+
+  function showStatus(text) {
+    statusEl.textContent = text;
+    clearTimeout(statusTimer);
+    statusTimer = setTimeout(() => {
+      statusEl.textContent = '';
+    }, STATUS_CLEAR_MS);
+  }
+
+  // ============================================================
+  // SHORTCUT RECORDER - One row per action, keys are captured on keydown
+  // ============================================================
+
+  function formatKey(key) {
+    if (key === ' ') return 'Space';
+    return key.length === 1 ? key.toUpperCase() : key;
+  }
+
+  function renderShortcuts() {
+    shortcutsEl.replaceChildren(...Object.keys(Settings.DEFAULTS.SHORTCUTS).map(action => {
+      const row = document.createElement('label');
+      row.className = 'field';
+
+      const name = document.createElement('span');
+      name.textContent = Settings.SHORTCUT_LABELS[action] || action;
+
+      const input = document.createElement('input');
+      input.type = 'text';
+      input.readOnly = true;
+      input.className = 'shortcut';
+      input.dataset.action = action;
+      input.value = shortcuts[action].map(formatKey).join(' / ');
+
+      row.append(name, input);
+      return row;
+    }));
+  }
+
+  async function recordShortcut(action, e) {
+    // Keep Tab for moving between fields and Escape for leaving the recorder
+    if (e.key === 'Tab' || e.ctrlKey || e.metaKey || e.altKey) return;
+    e.preventDefault();
+    if (e.key === 'Escape') {
+      e.target.blur();
+      return;
+    }
+
+    const key = Settings.normalizeKey(e.key);
+    const current = shortcuts[action];
+    let keys;
+    if (e.key === 'Backspace' || e.key === 'Delete') {
+      keys = [];
+    } else if (current.includes(key)) {
+      return;
+    } else {
+      keys = current.length >= MAX_KEYS_PER_SHORTCUT ? [key] : [...current, key];
+    }
+
+    // A key can only trigger one action, so take it away from any other binding
+    const updated = {};
+    for (const [other, otherKeys] of Object.entries(shortcuts)) {
+      updated[other] = other === action ? keys : otherKeys.filter(bound => bound !== key);
+    }
+
+    shortcuts = updated;
+    await Settings.save({ SHORTCUTS: shortcuts });
+    renderShortcuts();
+    shortcutsEl.querySelector(`[data-action="${action}"]`).focus();
+    showStatus('Saved');
+  }
+
+  shortcutsEl.addEventListener('keydown', (e) => {
+    const action = e.target.dataset.action;
+    if (action) recordShortcut(action, e);
+  });
+
+  // ============================================================
+  // CREATOR RULES - Saved from the video overlay, listed here for removal
+  // ============================================================
+
+  function describeRule(rule) {
+    const parts = [`${rule.speed}x`, `${Math.round(rule.volume * 100)}%`];
+    if (rule.muted) parts.push('muted');
+    return parts.join(', ');
+  }
+
+  function renderCreatorRules(rules) {
+    const usernames = Object.keys(rules).sort();
+    creatorRulesEl.replaceChildren(...usernames.map(username => {
+      const item = document.createElement('li');
+
+      const label = document.createElement('span');
+      label.textContent = `@${username}: ${describeRule(rules[username])}`;
+
+      const remove = document.createElement('button');
+      remove.type = 'button';
+      remove.textContent = 'Remove';
+      remove.addEventListener('click', async () => {
+        await CreatorRules.remove(username);
+        showStatus('Rule removed');
+      });
+
+      item.append(label, remove);
+      return item;
+    }));
+    noCreatorRulesEl.hidden = usernames.length > 0;
+  }
+
+  CreatorRules.onChanged(renderCreatorRules);
+
+  // ============================================================
+  // INITIALIZATION
+  // ============================================================
+
+  async function render() {
+    const values = await Settings.load();
+    fields.forEach(input => writeField(input, values[input.dataset.setting]));
+    shortcuts = values.SHORTCUTS;
+    renderShortcuts();
+    renderCreatorRules(await CreatorRules.load());
+  }
+
+  fields.forEach(input => {
+    input.addEventListener('change', async () => {
+      const key = input.dataset.setting;
+      const value = input.dataset.path ? readNestedSetting(key) : readField(input);
+      if (value === undefined) {
+        input.classList.add('invalid');
+        return;
+      }
+
+      await Settings.save({ [key]: value });
+      // Normalise the displayed value, e.g. a sorted speed list
+      writeField(input, value);
+      showStatus('Saved');
+    });
+  });
+
+  document.getElementById('reset').addEventListener('click', async () => {
+    await Settings.reset();
+    await render();
+    showStatus('Defaults restored');
+  });
+
+  render();
+})();
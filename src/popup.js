@@ -0,0 +1,192 @@
+// Bearable Desktop Instagram - Toolbar Popup
+// Quick toggles and the list of enhanced videos, talks to content.js through runtime messaging
+
+(function() {
+  'use strict';
+
+  const REFRESH_INTERVAL_MS = 1000;
+
+  const DECLUTTER_NAMES = {
+    suggested: 'Suggested posts',
+    sponsored: 'Sponsored posts',
+    reels: 'Reels carousels',
+    threads: 'Threads promotions',
+  };
+
+  const CONTEXT_NAMES = {
+    feed: 'the feed',
+    reels: 'Reels',
+    post: 'posts',
+    profile: 'profiles',
+    stories: 'stories',
+  };
+
+  const tabEnabledInput = document.getElementById('tab-enabled');
+  const defaultMutedInput = document.getElementById('default-muted');
+  const defaultSpeedSelect = document.getElementById('default-speed');
+  const autoplaySection = document.getElementById('autoplay');
+  const policyInputs = autoplaySection.querySelectorAll('[data-policy]');
+  const contextNameEl = document.getElementById('context-name');
+  const videosEl = document.getElementById('videos');
+  const noVideosEl = document.getElementById('no-videos');
+  const notInstagramEl = document.getElementById('not-instagram');
+  const hiddenTotalEl = document.getElementById('hidden-total');
+  const hiddenCountsEl = document.getElementById('hidden-counts');
+
+  let tabId = null;
+  let context = null;
+  let settings = null;
+
+  // ============================================================
+  // UTILITY FUNCTIONS
+  // ============================================================
+
+  // Resolves to null when the tab has no content script, e.g. it isn't Instagram
+  async function sendToTab(message) {
+    if (tabId === null) return null;
+    try {
+      return await chrome.tabs.sendMessage(tabId, message);
+    } catch (e) {
+      return null;
+    }
+  }
+
+  // ============================================================
+  // RENDERING
+  // ============================================================
+
+  function renderSettings() {
+    defaultMutedInput.checked = settings.DEFAULT_MUTED;
+
+    const speeds = [...new Set([...settings.PLAYBACK_SPEEDS, settings.DEFAULT_SPEED])].sort((a, b) => a - b);
+    defaultSpeedSelect.replaceChildren(...speeds.map(speed => {
+      const option = document.createElement('option');
+      option.value = speed;
+      option.textContent = `${speed}x`;
+      return option;
+    }));
+    defaultSpeedSelect.value = settings.DEFAULT_SPEED;
+
+    const policy = settings.AUTOPLAY_POLICIES[context];
+    autoplaySection.classList.toggle('disabled', !policy);
+    policyInputs.forEach(input => {
+      input.checked = Boolean(policy?.[input.dataset.policy]);
+      input.disabled = !policy;
+    });
+  }
+
+  function renderVideos(videos) {
+    videosEl.replaceChildren(...videos.map(video => {
+      const item = document.createElement('li');
+      const button = document.createElement('button');
+      button.type = 'button';
+      button.classList.toggle('is-playing', !video.paused);
+
+      const postId = document.createElement('span');
+      postId.className = 'post-id';
+      postId.textContent = video.postId ?? 'Unknown post';
+
+      const position = document.createElement('span');
+      position.className = 'position';
+      position.textContent = video.duration === null
+        ? formatTime(video.currentTime)
+        : `${formatTime(video.currentTime)} / ${formatTime(video.duration)}`;
+
+      button.append(postId, position);
+      button.addEventListener('click', () => sendToTab({ type: 'playVideo', id: video.id }));
+      item.append(button);
+      return item;
+    }));
+    noVideosEl.hidden = videos.length > 0;
+  }
+
+  function renderHidden(hidden) {
+    const categories = Object.keys(hidden).filter(category => hidden[category] > 0);
+    const total = categories.reduce((sum, category) => sum + hidden[category], 0);
+    hiddenTotalEl.textContent = total === 0 ? 'Nothing hidden.' : `${total} hidden by feed declutter`;
+
+    hiddenCountsEl.replaceChildren(...categories.map(category => {
+      const item = document.createElement('li');
+      const name = document.createElement('span');
+      name.textContent = DECLUTTER_NAMES[category] ?? category;
+      const count = document.createElement('span');
+      count.textContent = hidden[category];
+      item.append(name, count);
+      return item;
+    }));
+    hiddenCountsEl.hidden = categories.length === 0;
+  }
+
+  async function refreshTab() {
+    const state = await sendToTab({ type: 'getState' });
+    notInstagramEl.hidden = state !== null;
+    tabEnabledInput.disabled = state === null;
+
+    if (state === null) {
+      videosEl.replaceChildren();
+      noVideosEl.hidden = true;
+      renderHidden({});
+      return;
+    }
+
+    tabEnabledInput.checked = state.enabled;
+    if (state.context !== context) {
+      context = state.context;
+      contextNameEl.textContent = CONTEXT_NAMES[context] ?? 'this page';
+      renderSettings();
+    }
+    renderVideos(state.videos);
+    renderHidden(state.hidden);
+  }
+
+  // ============================================================
+  // INITIALIZATION
+  // ============================================================
+
+  tabEnabledInput.addEventListener('change', async () => {
+    await sendToTab({ type: 'setEnabled', enabled: tabEnabledInput.checked });
+    refreshTab();
+  });
+
+  defaultMutedInput.addEventListener('change', () => {
+    Settings.save({ DEFAULT_MUTED: defaultMutedInput.checked });
+  });
+
+  defaultSpeedSelect.addEventListener('change', () => {
+    Settings.save({ DEFAULT_SPEED: parseFloat(defaultSpeedSelect.value) });
+  });
+
+  policyInputs.forEach(input => {
+    // Re-read before writing so changes made meanwhile on the options page aren't overwritten
+    input.addEventListener('change', async () => {
+      // Pages without a policy (stories, other sites) have nothing to write to
+      if (!settings.AUTOPLAY_POLICIES[context]) return;
+      const { AUTOPLAY_POLICIES: policies } = await Settings.load();
+      settings.AUTOPLAY_POLICIES = {
+        ...policies,
+        [context]: { ...policies[context], [input.dataset.policy]: input.checked },
+      };
+      await Settings.save({ AUTOPLAY_POLICIES: settings.AUTOPLAY_POLICIES });
+    });
+  });
+
+  document.getElementById('open-bookmarks').addEventListener('click', () => {
+    chrome.tabs.create({ url: chrome.runtime.getURL('src/bookmarks.html') });
+  });
+
+  document.getElementById('open-options').addEventListener('click', () => {
+    chrome.runtime.openOptionsPage();
+  });
+
+  async function init() {
+    const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
+    tabId = tab?.id ?? null;
+    settings = await Settings.load();
+
+    renderSettings();
+    await refreshTab();
+    setInterval(refreshTab, REFRESH_INTERVAL_MS);
+  }
+
+  init();
+})();
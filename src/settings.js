@@ -0,0 +1,302 @@
+// Bearable Desktop Instagram - Settings
+// Shared defaults and chrome.storage access for the content script and extension pages
+
+const Settings = {
+  DEFAULTS: {
+    DEBUG: false,                          // Enable console logging
+    SEEK_SECONDS: 10,                      // Seconds to skip with arrow keys
+    SEEK_END_BUFFER: 0.5,                  // Buffer from end when restoring timestamp
+    SCAN_DEBOUNCE_MS: 100,                 // Debounce delay for video scanning
+    PLAYBACK_SPEEDS: [0.5, 0.75, 1, 1.25, 1.5, 2], // Entries of the speed selector
+    DEFAULT_VOLUME: 1,                     // Volume used until the user picks one
+    DEFAULT_MUTED: true,                   // Start videos muted (Instagram's default) until the user unmutes
+    DEFAULT_SPEED: 1,                      // Playback speed for newly found videos
+    LONG_SEEK_SECONDS: 30,                 // Seconds to skip with the long seek shortcuts
+    VOLUME_STEP: 0.1,                      // Volume change per Up/Down key press
+    FRAME_STEP_FPS: 30,                    // Assumed frame rate for frame stepping
+    RESUME_ENABLED: false,                 // Offer to resume videos across browser sessions
+    RESUME_TTL_DAYS: 30,                   // Forget watch history entries older than this
+    RESUME_MAX_ENTRIES: 500,               // Evict least recently watched entries beyond this
+    RESUME_FINISHED_RATIO: 0.95,           // Videos watched past this fraction count as finished
+    AUTOPLAY_POLICIES: {                   // Page context -> autoplay policy
+      feed: { blockAutoplay: false, pauseOffscreen: false, singlePlayback: false },
+      reels: { blockAutoplay: false, pauseOffscreen: false, singlePlayback: false },
+      post: { blockAutoplay: false, pauseOffscreen: false, singlePlayback: false },
+      profile: { blockAutoplay: false, pauseOffscreen: false, singlePlayback: false },
+    },
+    ON_END: {                              // Page context -> 'loop', 'stop' or 'advance' after playCount plays
+      feed: { action: 'loop', playCount: 1 },
+      reels: { action: 'loop', playCount: 1 },
+      post: { action: 'loop', playCount: 1 },
+      profile: { action: 'loop', playCount: 1 },
+    },
+    ADVANCE_COUNTDOWN_SECONDS: 3,          // Countdown before advancing to the next video
+    CONTROLS_AUTO_HIDE: false,             // Hide the controls while playing and the mouse is idle
+    CONTROLS_HIDE_DELAY_MS: 2500,          // Idle time before the controls hide
+    CONTROLS_POSITION: 'bottom',           // 'bottom' or 'top' of the video
+    CONTROLS_THEME: 'instagram',           // 'instagram', 'dark', 'light' or 'minimal'
+    CONTROLS_LAYOUT: 'auto',               // 'auto', 'compact' or 'full'
+    COMPACT_LAYOUT_WIDTH: 420,             // Videos narrower than this get the compact layout in 'auto'
+    MINI_PLAYER_ENABLED: true,             // Keep the playing video in a corner when it leaves the view
+    DECLUTTER: {                           // Home feed units to hide, by category
+      suggested: false,
+      sponsored: false,
+      reels: false,
+      threads: false,
+    },
+    SHORTCUTS: {                           // Action -> keys (KeyboardEvent.key, letters lowercase)
+      playPause: [' ', 'k'],
+      seekBackward: ['ArrowLeft'],
+      seekForward: ['ArrowRight'],
+      seekBackwardLong: ['j'],
+      seekForwardLong: ['l'],
+      toggleMute: ['m'],
+      volumeUp: ['ArrowUp'],
+      volumeDown: ['ArrowDown'],
+      speedDown: ['<'],
+      speedUp: ['>'],
+      frameBackward: [','],
+      frameForward: ['.'],
+      loopStart: ['['],
+      loopEnd: [']'],
+      loopClear: ['\\'],
+      togglePictureInPicture: ['p'],
+      toggleFullscreen: ['f'],
+      toggleTheater: ['t'],
+      addBookmark: ['b'],
+      toggleDiagnostics: ['d'],
+      seekPercent0: ['0'],
+      seekPercent10: ['1'],
+      seekPercent20: ['2'],
+      seekPercent30: ['3'],
+      seekPercent40: ['4'],
+      seekPercent50: ['5'],
+      seekPercent60: ['6'],
+      seekPercent70: ['7'],
+      seekPercent80: ['8'],
+      seekPercent90: ['9'],
+    },
+  },
+
+  SHORTCUT_LABELS: {
+    playPause: 'Play / pause',
+    seekBackward: 'Seek backward',
+    seekForward: 'Seek forward',
+    seekBackwardLong: 'Long seek backward',
+    seekForwardLong: 'Long seek forward',
+    toggleMute: 'Mute / unmute',
+    volumeUp: 'Volume up',
+    volumeDown: 'Volume down',
+    speedDown: 'Slower',
+    speedUp: 'Faster',
+    frameBackward: 'Previous frame (paused)',
+    frameForward: 'Next frame (paused)',
+    loopStart: 'Set loop start (A)',
+    loopEnd: 'Set loop end (B)',
+    loopClear: 'Clear loop',
+    togglePictureInPicture: 'Picture-in-picture',
+    toggleFullscreen: 'Fullscreen',
+    toggleTheater: 'Theater mode',
+    addBookmark: 'Bookmark this moment',
+    toggleDiagnostics: 'Diagnostics panel',
+    seekPercent0: 'Jump to 0%',
+    seekPercent10: 'Jump to 10%',
+    seekPercent20: 'Jump to 20%',
+    seekPercent30: 'Jump to 30%',
+    seekPercent40: 'Jump to 40%',
+    seekPercent50: 'Jump to 50%',
+    seekPercent60: 'Jump to 60%',
+    seekPercent70: 'Jump to 70%',
+    seekPercent80: 'Jump to 80%',
+    seekPercent90: 'Jump to 90%',
+  },
+
+  // Object settings are merged over their defaults so newly added entries get a value
+  merge(key, value) {
+    const fallback = this.DEFAULTS[key];
+    if (value === undefined) return fallback;
+    if (fallback && typeof fallback === 'object' && !Array.isArray(fallback)) {
+      return { ...fallback, ...value };
+    }
+    return value;
+  },
+
+  // Shortcut keys are compared case-insensitively for single characters
+  normalizeKey(key) {
+    return key.length === 1 ? key.toLowerCase() : key;
+  },
+
+  // Returns the stored settings merged over the defaults
+  async load() {
+    let values;
+    try {
+      values = await chrome.storage.sync.get(this.DEFAULTS);
+    } catch (e) {
+      values = {};
+    }
+
+    const settings = {};
+    for (const key of Object.keys(this.DEFAULTS)) {
+      settings[key] = this.merge(key, values[key]);
+    }
+    return settings;
+  },
+
+  save(values) {
+    return chrome.storage.sync.set(values);
+  },
+
+  reset() {
+    return chrome.storage.sync.remove(Object.keys(this.DEFAULTS));
+  },
+
+  // Calls back with { key: newValue } for every changed setting, removed keys fall back to defaults
+  onChanged(callback) {
+    chrome.storage.onChanged.addListener((changes, area) => {
+      if (area !== 'sync') return;
+
+      const updated = {};
+      for (const [key, change] of Object.entries(changes)) {
+        if (!(key in this.DEFAULTS)) continue;
+        updated[key] = this.merge(key, change.newValue);
+      }
+
+      if (Object.keys(updated).length > 0) {
+        callback(updated);
+      }
+    });
+  }
+};
+
+// Per-creator playback rules, kept in chrome.storage.local as the list can outgrow sync quotas
+const CreatorRules = {
+  STORAGE_KEY: 'creatorRules',
+
+  // Returns { username: { speed, muted, volume, updated } }
+  async load() {
+    try {
+      const result = await chrome.storage.local.get(this.STORAGE_KEY);
+      return result[this.STORAGE_KEY] || {};
+    } catch (e) {
+      return {};
+    }
+  },
+
+  async set(username, rule) {
+    const rules = await this.load();
+    rules[username] = { ...rule, updated: Date.now() };
+    await chrome.storage.local.set({ [this.STORAGE_KEY]: rules });
+    return rules;
+  },
+
+  async remove(username) {
+    const rules = await this.load();
+    delete rules[username];
+    await chrome.storage.local.set({ [this.STORAGE_KEY]: rules });
+    return rules;
+  },
+
+  onChanged(callback) {
+    chrome.storage.onChanged.addListener((changes, area) => {
+      if (area === 'local' && changes[this.STORAGE_KEY]) {
+        callback(changes[this.STORAGE_KEY].newValue || {});
+      }
+    });
+  }
+};
+
+// Bookmarked moments, shared by the video overlay and the bookmarks page
+const Bookmarks = {
+  STORAGE_KEY: 'bookmarks',
+
+  // Returns [{ id, postId, creator, time, note, created }], newest first
+  async load() {
+    try {
+      const result = await chrome.storage.local.get(this.STORAGE_KEY);
+      return result[this.STORAGE_KEY] || [];
+    } catch (e) {
+      return [];
+    }
+  },
+
+  async add({ postId, creator, time, note = '' }) {
+    const bookmark = {
+      id: `${Date.now().toString(36)}${Math.random().toString(36).slice(2, 6)}`,
+      postId,
+      creator: creator || null,
+      time,
+      note,
+      created: Date.now(),
+    };
+    const bookmarks = await this.load();
+    await chrome.storage.local.set({ [this.STORAGE_KEY]: [bookmark, ...bookmarks] });
+    return bookmark;
+  },
+
+  async update(id, changes) {
+    const bookmarks = await this.load();
+    await chrome.storage.local.set({
+      [this.STORAGE_KEY]: bookmarks.map(bookmark => (bookmark.id === id ? { ...bookmark, ...changes } : bookmark)),
+    });
+  },
+
+  async remove(id) {
+    const bookmarks = await this.load();
+    await chrome.storage.local.set({ [this.STORAGE_KEY]: bookmarks.filter(bookmark => bookmark.id !== id) });
+  },
+
+  // Adds imported bookmarks, entries with a known id replace the stored one. Returns the number imported
+  async import(entries) {
+    const valid = entries.filter(entry =>
+      entry && typeof entry.id === 'string' && typeof entry.postId === 'string' &&
+      Number.isFinite(entry.time) && entry.time >= 0
+    ).map(entry => ({
+      id: entry.id,
+      postId: entry.postId,
+      creator: typeof entry.creator === 'string' ? entry.creator : null,
+      time: entry.time,
+      note: typeof entry.note === 'string' ? entry.note : '',
+      created: Number.isFinite(entry.created) ? entry.created : Date.now(),
+    }));
+
+    const byId = new Map((await this.load()).map(bookmark => [bookmark.id, bookmark]));
+    valid.forEach(bookmark => byId.set(bookmark.id, bookmark));
+    const bookmarks = [...byId.values()].sort((a, b) => b.created - a.created);
+    await chrome.storage.local.set({ [this.STORAGE_KEY]: bookmarks });
+    return valid.length;
+  },
+
+  // Opens the post at the bookmarked time, the content script seeks to the #t= seconds
+  getUrl(bookmark) {
+    return `https://www.instagram.com/p/${bookmark.postId}/#t=${Math.floor(bookmark.time)}`;
+  },
+
+  onChanged(callback) {
+    chrome.storage.onChanged.addListener((changes, area) => {
+      if (area === 'local' && changes[this.STORAGE_KEY]) {
+        callback(changes[this.STORAGE_KEY].newValue || []);
+      }
+    });
+  }
+};
+
+// "1:05" playback position, shared by the video overlay and the extension pages
+function formatTime(seconds) {
+  if (!isFinite(seconds) || seconds < 0) return '0:00';
+  const mins = Math.floor(seconds / 60);
+  const secs = Math.floor(seconds % 60);
+  return `${mins}:${secs.toString().padStart(2, '0')}`;
+}
+
+const DOWNLOAD_URL_LIFETIME_MS = 10000; // Long enough for the browser to pick up the download
+
+// Saves generated content as a file, shared by the bookmarks export and the diagnostics report
+function downloadFile(filename, type, content) {
+  const url = URL.createObjectURL(new Blob([content], { type }));
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  link.click();
+  // Revoking right away can cancel the download before the browser has started it
+  setTimeout(() => URL.revokeObjectURL(url), DOWNLOAD_URL_LIFETIME_MS);
+}